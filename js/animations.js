@@ -202,6 +202,27 @@
     });
   }
 
+  /**
+   * Refresh after content moved without a reset (js/filter.js's FLIP reflow):
+   * clears the grid's stale stagger delays and hands elements that are shown
+   * but not yet revealed back to the observer, so they still reveal on scroll
+   */
+  function refresh() {
+    if (prefersReducedMotion || !observer) return;
+
+    const projectGrid = document.querySelector('.project-grid');
+    if (projectGrid) {
+      applyStaggerDelays(projectGrid);
+    }
+
+    const animElements = document.querySelectorAll(ANIMATION_CLASSES.map(cls => `.${cls}`).join(', '));
+    animElements.forEach(el => {
+      if (!el.classList.contains('is-visible') && window.getComputedStyle(el).display !== 'none') {
+        observer.observe(el);
+      }
+    });
+  }
+
   /**
    * Handle window resize - update stagger delays if grid columns change
    */
@@ -232,6 +253,7 @@
   // Export reinitialize function globally for filter system to call
   window.AnimationSystem = {
     reinitialize,
+    refresh,
     applyStaggerDelays
   };
 
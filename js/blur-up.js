@@ -0,0 +1,66 @@
+/**
+ * Blur-Up Loading
+ * Containers marked data-placeholder (card images, the project hero, gallery
+ * items) carry their image's placeholder as an inline background: its colour
+ * and a blurred thumbnail, from images.json (see getPlaceholderStyle in
+ * js/responsive-images.js). Their images stay hidden until they load, then
+ * fade in over it; images that have already loaded show straight away.
+ *
+ * Static pages are watched on DOMContentLoaded; js/projects.js hands over the
+ * cards it builds through window.BlurUp.
+ * @module blur-up
+ */
+(function() {
+  'use strict';
+
+  // Configuration constants
+  const IMAGE_SELECTOR = '[data-placeholder] img';
+  const PENDING_CLASS = 'is-pending';
+  const REVEALED_CLASS = 'is-revealed';
+
+  /**
+   * Hides an image until it loads, then fades it in
+   * @param {HTMLImageElement} image
+   */
+  function watch(image) {
+    // Loaded, or already broken: nothing to wait for
+    if (image.complete) return;
+
+    image.classList.add(PENDING_CLASS);
+    image.addEventListener('load', () => {
+      image.classList.remove(PENDING_CLASS);
+      image.classList.add(REVEALED_CLASS);
+    }, { once: true });
+    // A broken image shows its alt text over the placeholder
+    image.addEventListener('error', () => {
+      image.classList.remove(PENDING_CLASS);
+    }, { once: true });
+  }
+
+  /**
+   * Watches every image inside a placeholder container
+   * @param {ParentNode} [root=document] - e.g. a card's media block before it's inserted
+   */
+  function watchAll(root = document) {
+    root.querySelectorAll(IMAGE_SELECTOR).forEach(watch);
+  }
+
+  /**
+   * Initialize: watch the images already in the page
+   */
+  function init() {
+    watchAll();
+  }
+
+  window.BlurUp = {
+    watch,
+    watchAll
+  };
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
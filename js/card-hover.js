@@ -1,7 +1,27 @@
 /**
  * Card Hover Module
- * Enhanced hover effects for project cards with image preloading and parallax.
- * Only activates on devices that support hover (desktop).
+ * Card media on hover (desktop) and for the card centered in the viewport (mobile).
+ * Each card has one media mode, from its data-media attribute or else its markup:
+ *   image    — cover/hover image swap (CSS)
+ *   video    — .card-video loops from the start
+ *   scrub    — .card-video follows the pointer across the card, left edge = first frame
+ *   flipbook — the .card-frame images take turns at data-frame-rate frames per second
+ * Every mode starts and stops through one playback controller, so only one card's
+ * media runs — and only one card video decodes — at a time.
+ *
+ * On touch screens there's no hover: the card crossing the middle of the
+ * viewport (an IntersectionObserver band) is "centered" and shows its pills,
+ * and swiping a card sideways steps through its slides — cover, hover image,
+ * video, frames — with dots underneath; the video and frames slides play.
+ *
+ * On fine pointers without reduced motion, cards also tilt toward the pointer
+ * and their layers shift at different depths (css/components.css), scaled per
+ * card by data-parallax and data-tilt (0 turns either off, default 1).
+ *
+ * js/media-policy.js, when loaded, decides what runs: whether hover images
+ * preload, videos play or autoplay (the centered card on mobile), and whether
+ * anything animates. Without it, everything runs except motion under
+ * prefers-reduced-motion. Everything pauses while the tab is hidden.
  * @module card-hover
  */
 (function() {
@@ -9,24 +29,97 @@
 
   // Configuration constants
   const HOVER_CLASS = 'is-hovered';
+  const FRAME_CLASS = 'is-current';
+  const DEFAULT_FRAME_RATE = 6; // flipbook frames per second
+  const MAX_FRAME_RATE = 30;
+  const PARALLAX_CLASS = 'has-parallax';
+  const TRACKING_CLASS = 'is-tracking';
+  const MAX_INTENSITY = 3; // data-parallax / data-tilt multiplier cap
+  const PARALLAX_PROPERTIES = ['--parallax-x', '--parallax-y', '--tilt-x', '--tilt-y'];
+  const CENTERED_CLASS = 'is-centered';
+  const CENTER_BAND = '-45% 0px -45% 0px'; // IntersectionObserver rootMargin: the middle 10% of the viewport
+  const SLIDES_CLASS = 'has-slides';
+  const SWIPE_DISTANCE = 50; // px sideways before a touch counts as a swipe
+  // What plays on each mobile slide (see getSlides)
+  const SLIDE_MODES = { cover: 'image', hover: 'image', video: 'video', frames: 'flipbook' };
 
   // Check if device supports hover
   const supportsHover = window.matchMedia('(hover: hover)').matches;
+  const supportsFinePointer = window.matchMedia('(pointer: fine)').matches;
+  const reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
 
   // DOM element references
   let projectCards = [];
 
+  // State tracking
+  let activeCard = null; // the one card whose media is running
+  let preloadObserver = null;
+  let activePlayer = null;
+  let pausedCard = null; // whose media stopped when the tab was hidden
+  const cardState = new WeakMap(); // card → playback, pointer and slide state (see getState)
 
   // Mobile center highlight tracking
-  let isCenterTicking = false;
   let centeredCard = null;
-  let flipIntervalId = null;
-  let isFlipped = false;
 
+  /**
+   * Gets what card media may do on this device (see js/media-policy.js)
+   * @returns {{level: string, preloadImages: boolean, playVideo: boolean,
+   *   autoplayVideo: boolean, animate: boolean}}
+   */
+  function getPolicy() {
+    if (window.MediaPolicy) {
+      return window.MediaPolicy.get();
+    }
+    const animate = !reducedMotionQuery.matches;
+    return { level: 'full', preloadImages: true, playVideo: true, autoplayVideo: animate, animate };
+  }
+
+  /**
+   * Returns the card's hover video; unpublished cards (data-status) never play theirs
+   * @param {HTMLElement} card - The project card element
+   * @returns {HTMLVideoElement|null}
+   */
   function getCardVideo(card) {
+    if (card.dataset.status) return null;
     return card.querySelector('.card-video');
   }
 
+  /**
+   * Returns the card's flipbook frames; unpublished cards don't animate theirs
+   * @param {HTMLElement} card - The project card element
+   * @returns {HTMLImageElement[]}
+   */
+  function getCardFrames(card) {
+    if (card.dataset.status) return [];
+    return Array.from(card.querySelectorAll('img.card-frame'));
+  }
+
+  /**
+   * Returns per-card playback state, creating it on first use
+   * @param {HTMLElement} card - The project card element
+   * @returns {Object}
+   */
+  function getState(card) {
+    if (!cardState.has(card)) {
+      cardState.set(card, {
+        timer: null,
+        frame: 0,
+        fraction: 0,
+        seekRaf: null,
+        parallax: 0,
+        tilt: 0,
+        pointerX: 0,
+        pointerY: 0,
+        pointerRaf: null,
+        slides: ['cover'],
+        slide: 0,
+        swipe: null, // { id, x, y } from pointerdown
+        swiped: false
+      });
+    }
+    return cardState.get(card);
+  }
+
   function playCardVideo(card) {
     const video = getCardVideo(card);
     if (!video) return;
@@ -53,6 +146,11 @@
 
     const doStop = () => {
       video._stopRaf = null;
+      // A scrubbed video is already paused, so no pause event will come
+      if (video.paused) {
+        video.currentTime = 0;
+        return;
+      }
       // Wait for the pause event to fire before resetting currentTime,
       // so the seek never races with an in-progress play promise.
       const onPaused = () => {
@@ -62,10 +160,267 @@
       video.pause();
     };
 
+    // A hidden tab runs no rAF callbacks, so the video would keep playing
+    if (document.hidden) {
+      doStop();
+      return;
+    }
+
     // Defer by one rAF so any play() promise has a chance to resolve first
     video._stopRaf = requestAnimationFrame(doStop);
   }
 
+  /**
+   * Readies a card's video for scrubbing: paused, fully buffered, at the
+   * pointer's position once its duration is known
+   * @param {HTMLElement} card - The project card element
+   */
+  function startScrub(card) {
+    const video = getCardVideo(card);
+    if (!video) return;
+
+    if (video._stopRaf) {
+      cancelAnimationFrame(video._stopRaf);
+      video._stopRaf = null;
+    }
+    video.muted = true;
+    video.pause();
+    // preload="metadata" only fetches the start; seeking anywhere needs the rest
+    video.preload = 'auto';
+    if (video.readyState < 1) {
+      video.addEventListener('loadedmetadata', () => seekCardVideo(card), { once: true });
+    }
+  }
+
+  /**
+   * Seeks a scrubbed video to a point across the card, at most once per frame
+   * @param {HTMLElement} card - The project card element
+   * @param {number} [fraction] - 0 (left edge) to 1 (right edge); the last one if omitted
+   */
+  function seekCardVideo(card, fraction) {
+    const state = getState(card);
+    if (typeof fraction === 'number') {
+      state.fraction = Math.min(1, Math.max(0, fraction));
+    }
+    if (state.seekRaf) return;
+
+    state.seekRaf = requestAnimationFrame(() => {
+      state.seekRaf = null;
+      const video = getCardVideo(card);
+      if (!video || card !== activeCard || !(video.duration > 0)) return;
+
+      // Stop just short of the end, which some browsers show as a blank frame
+      const time = state.fraction * Math.max(0, video.duration - 0.05);
+      if (typeof video.fastSeek === 'function') {
+        video.fastSeek(time);
+      } else {
+        video.currentTime = time;
+      }
+    });
+  }
+
+  /**
+   * Cancels a pending seek and rewinds the video
+   * @param {HTMLElement} card - The project card element
+   */
+  function stopScrub(card) {
+    const state = getState(card);
+    if (state.seekRaf) {
+      cancelAnimationFrame(state.seekRaf);
+      state.seekRaf = null;
+    }
+    stopCardVideo(card);
+  }
+
+  /**
+   * Shows one flipbook frame (the others are transparent)
+   * @param {HTMLImageElement[]} frames
+   * @param {number} index - Frame to show, or -1 for none
+   */
+  function showFrame(frames, index) {
+    frames.forEach((frame, i) => {
+      frame.classList.toggle(FRAME_CLASS, i === index);
+    });
+  }
+
+  /**
+   * Cycles a card's frames; with reduced motion, holds the first one
+   * @param {HTMLElement} card - The project card element
+   */
+  function startFlipbook(card) {
+    const frames = getCardFrames(card);
+    if (!frames.length) return;
+
+    const state = getState(card);
+    const rate = Math.min(MAX_FRAME_RATE, parseFloat(card.dataset.frameRate) > 0
+      ? parseFloat(card.dataset.frameRate)
+      : DEFAULT_FRAME_RATE);
+    frames.forEach(preloadImage);
+    state.frame = 0;
+    showFrame(frames, 0);
+    if (!getPolicy().animate) return;
+
+    state.timer = setInterval(() => {
+      state.frame = (state.frame + 1) % frames.length;
+      showFrame(frames, state.frame);
+    }, 1000 / rate);
+  }
+
+  /**
+   * Stops a card's frames and uncovers the cover/hover images again
+   * @param {HTMLElement} card - The project card element
+   */
+  function stopFlipbook(card) {
+    const state = getState(card);
+    clearInterval(state.timer);
+    state.timer = null;
+    showFrame(getCardFrames(card), -1);
+  }
+
+  // How each media mode starts, stops and (scrub only) follows the pointer;
+  // images swap with CSS (:hover, or data-slide on touch screens)
+  const MEDIA_PLAYERS = {
+    image: { start: () => {}, stop: () => {} },
+    video: { start: playCardVideo, stop: stopCardVideo },
+    scrub: { start: startScrub, stop: stopScrub, seek: seekCardVideo },
+    flipbook: { start: startFlipbook, stop: stopFlipbook }
+  };
+
+  /**
+   * Resolves a card's media mode: data-media when the card has what it needs,
+   * otherwise video if it has one, flipbook if it has frames, else image.
+   * Videos the media policy won't play, and frames it hides, don't count.
+   * On touch screens the current slide decides instead.
+   * @param {HTMLElement} card - The project card element
+   * @returns {string} A MEDIA_PLAYERS key
+   */
+  function getMediaMode(card) {
+    if (!supportsHover) {
+      const state = getState(card);
+      return SLIDE_MODES[state.slides[state.slide]];
+    }
+
+    const policy = getPolicy();
+    const hasVideo = policy.playVideo && !!getCardVideo(card);
+    const hasFrames = policy.level !== 'posters' && getCardFrames(card).length > 0;
+    let mode = card.dataset.media;
+
+    if ((mode === 'video' || mode === 'scrub') && !hasVideo) mode = null;
+    if (mode === 'flipbook' && !hasFrames) mode = null;
+    if (!MEDIA_PLAYERS[mode]) {
+      mode = hasVideo ? 'video' : hasFrames ? 'flipbook' : 'image';
+    }
+    return mode;
+  }
+
+  /**
+   * Starts a card's media, stopping whichever card was running first
+   * @param {HTMLElement} card - The project card element
+   */
+  function startMedia(card) {
+    if (card === activeCard) return;
+    if (activeCard) {
+      const previous = activeCard;
+      stopMedia(previous);
+      // A stopped card on touch screens goes back to its cover
+      if (!supportsHover) {
+        setSlide(previous, 0);
+      }
+    }
+
+    activeCard = card;
+    activePlayer = MEDIA_PLAYERS[getMediaMode(card)];
+    activePlayer.start(card);
+  }
+
+  /**
+   * Stops a card's media if it's the one running
+   * @param {HTMLElement} card - The project card element
+   */
+  function stopMedia(card) {
+    if (card !== activeCard) return;
+
+    const player = activePlayer;
+    activeCard = null;
+    activePlayer = null;
+    player.stop(card);
+  }
+
+  /**
+   * Reads a card's parallax or tilt multiplier
+   * @param {HTMLElement} card - The project card element
+   * @param {string} key - 'parallax' or 'tilt' (data-parallax, data-tilt)
+   * @returns {number} 0 (off) to MAX_INTENSITY; 1 when unset or invalid
+   */
+  function getIntensity(card, key) {
+    const value = parseFloat(card.dataset[key]);
+    if (isNaN(value)) return 1;
+    return Math.min(MAX_INTENSITY, Math.max(0, value));
+  }
+
+  /**
+   * Turns pointer parallax on for cards that want it (fine pointers, motion
+   * allowed), or off again; unpublished cards stay still
+   */
+  function setupParallax() {
+    const enabled = supportsHover && supportsFinePointer && getPolicy().animate;
+
+    projectCards.forEach(card => {
+      const state = getState(card);
+      state.parallax = getIntensity(card, 'parallax');
+      state.tilt = getIntensity(card, 'tilt');
+      if (enabled && !card.dataset.status && (state.parallax || state.tilt)) {
+        card.classList.add(PARALLAX_CLASS);
+      } else {
+        releasePointer(card);
+        card.classList.remove(PARALLAX_CLASS);
+      }
+    });
+  }
+
+  /**
+   * Records the pointer's position over a card and updates its layers on the next frame
+   * @param {HTMLElement} card - The project card element
+   * @param {MouseEvent} event
+   */
+  function trackPointer(card, event) {
+    if (!card.classList.contains(PARALLAX_CLASS)) return;
+
+    const rect = card.getBoundingClientRect();
+    if (!rect.width || !rect.height) return;
+
+    // -1 (left/top edge) to 1 (right/bottom edge)
+    const state = getState(card);
+    state.pointerX = Math.min(1, Math.max(-1, ((event.clientX - rect.left) / rect.width) * 2 - 1));
+    state.pointerY = Math.min(1, Math.max(-1, ((event.clientY - rect.top) / rect.height) * 2 - 1));
+    card.classList.add(TRACKING_CLASS);
+    if (state.pointerRaf) return;
+
+    state.pointerRaf = requestAnimationFrame(() => {
+      state.pointerRaf = null;
+      card.style.setProperty('--parallax-x', (state.pointerX * state.parallax).toFixed(3));
+      card.style.setProperty('--parallax-y', (state.pointerY * state.parallax).toFixed(3));
+      card.style.setProperty('--tilt-x', (state.pointerX * state.tilt).toFixed(3));
+      card.style.setProperty('--tilt-y', (state.pointerY * state.tilt).toFixed(3));
+    });
+  }
+
+  /**
+   * Lets a card's layers spring back to rest (the CSS transitions do the easing)
+   * @param {HTMLElement} card - The project card element
+   */
+  function releasePointer(card) {
+    if (!card.classList.contains(PARALLAX_CLASS)) return;
+
+    const state = getState(card);
+    if (state.pointerRaf) {
+      cancelAnimationFrame(state.pointerRaf);
+      state.pointerRaf = null;
+    }
+    card.classList.remove(TRACKING_CLASS);
+    PARALLAX_PROPERTIES.forEach(property => card.style.removeProperty(property));
+  }
+
   /**
    * Cache DOM references
    */
@@ -74,25 +429,39 @@
   }
 
   /**
-   * Preloads the hover image for a card
-   * @param {HTMLElement} card - The project card element
+   * Lifts lazy loading from an image, so the browser fetches it now
+   * @param {HTMLImageElement} image
    */
-  function preloadHoverImage(card) {
-    const hoverImage = card.querySelector('.card-hover');
-    if (!hoverImage) return;
+  function preloadImage(image) {
+    if (!image.getAttribute('src')) return;
 
-    const src = hoverImage.getAttribute('src');
-    if (!src) return;
+    // The browser then fetches the candidate it will show (<picture> format,
+    // srcset width for this layout) rather than the full-size original in src
+    image.loading = 'eager';
+  }
 
-    // Create a new Image object to trigger loading
-    const preloadImg = new Image();
-    preloadImg.src = src;
+  /**
+   * Preloads the hover image and flipbook frames for a card
+   * @param {HTMLElement} card - The project card element
+   */
+  function preloadHoverImage(card) {
+    card.querySelectorAll('.card-hover, .card-frame').forEach(preloadImage);
   }
 
   /**
-   * Sets up IntersectionObserver to preload hover images when cards enter viewport
+   * Sets up IntersectionObserver to preload hover images when cards enter viewport,
+   * unless the media policy holds them back (they then load on hover)
    */
   function setupImagePreloading() {
+    if (!getPolicy().preloadImages) {
+      if (preloadObserver) {
+        preloadObserver.disconnect();
+        preloadObserver = null;
+      }
+      return;
+    }
+    if (preloadObserver) return;
+
     if (!('IntersectionObserver' in window)) {
       // Fallback: preload all images immediately
       projectCards.forEach(preloadHoverImage);
@@ -105,33 +474,87 @@
       threshold: 0
     };
 
-    const observer = new IntersectionObserver((entries) => {
+    preloadObserver = new IntersectionObserver((entries) => {
       entries.forEach(entry => {
         if (entry.isIntersecting) {
           preloadHoverImage(entry.target);
           // Stop observing this card after preloading
-          observer.unobserve(entry.target);
+          preloadObserver.unobserve(entry.target);
         }
       });
     }, observerOptions);
 
     projectCards.forEach(card => {
-      observer.observe(card);
+      preloadObserver.observe(card);
     });
   }
 
+  /**
+   * Fetches video metadata only where the media policy lets videos play
+   */
+  function updateVideoPreload() {
+    const preload = getPolicy().playVideo ? 'metadata' : 'none';
+    projectCards.forEach(card => {
+      const video = getCardVideo(card);
+      if (video && card !== activeCard) {
+        video.preload = preload;
+      }
+    });
+  }
 
   /**
-   * Handles mouseenter on a card
-   * @param {HTMLElement} card - The project card element
+   * Re-applies the media policy after it changes, restarting the running
+   * card's media under the new rules
    */
-  function handleMouseEnter(card) {
-    card.classList.add(HOVER_CLASS);
+  function handlePolicyChange() {
+    const card = activeCard;
+    if (card) {
+      stopMedia(card);
+    }
 
-    if (getCardVideo(card)) {
-      playCardVideo(card);
+    updateVideoPreload();
+    if (supportsHover) {
+      setupImagePreloading();
+      setupParallax();
+    } else {
+      projectCards.forEach(setupSlides);
     }
 
+    if (card) {
+      startMedia(card);
+    }
+  }
+
+  /**
+   * Stops the running media while the tab is hidden and resumes it on return
+   */
+  function handleVisibilityChange() {
+    if (document.hidden) {
+      if (activeCard) {
+        pausedCard = activeCard;
+        stopMedia(activeCard);
+      }
+      return;
+    }
+
+    const card = pausedCard;
+    pausedCard = null;
+    // Only if it's still hovered or centered
+    if (card && (card.classList.contains(HOVER_CLASS) || card === centeredCard)) {
+      startMedia(card);
+    }
+  }
+
+
+  /**
+   * Handles mouseenter on a card
+   * @param {HTMLElement} card - The project card element
+   * @param {MouseEvent} event
+   */
+  function handleMouseEnter(card, event) {
+    card.classList.add(HOVER_CLASS);
+    startMedia(card);
+    handleMouseMove(card, event);
   }
 
   /**
@@ -140,11 +563,23 @@
    */
   function handleMouseLeave(card) {
     card.classList.remove(HOVER_CLASS);
+    stopMedia(card);
+    releasePointer(card);
+  }
 
-    if (getCardVideo(card)) {
-      stopCardVideo(card);
-    }
+  /**
+   * Follows the pointer: parallax layers, and the horizontal position for a scrubbing card
+   * @param {HTMLElement} card - The project card element
+   * @param {MouseEvent} event
+   */
+  function handleMouseMove(card, event) {
+    trackPointer(card, event);
+    if (card !== activeCard || !activePlayer.seek) return;
 
+    const rect = card.getBoundingClientRect();
+    if (rect.width > 0) {
+      activePlayer.seek(card, (event.clientX - rect.left) / rect.width);
+    }
   }
 
 
@@ -153,12 +588,17 @@
    */
   function attachHoverHandlers() {
     projectCards.forEach(card => {
-      // Mouse enter - add hover class and initialize state
-      card.addEventListener('mouseenter', () => {
-        handleMouseEnter(card);
+      // Mouse enter - add hover class and start the card's media
+      card.addEventListener('mouseenter', (event) => {
+        handleMouseEnter(card, event);
+      });
+
+      // Mouse move - parallax and scrub cards follow the pointer
+      card.addEventListener('mousemove', (event) => {
+        handleMouseMove(card, event);
       });
 
-      // Mouse leave - remove hover class and cleanup
+      // Mouse leave - remove hover class and stop the media
       card.addEventListener('mouseleave', () => {
         handleMouseLeave(card);
       });
@@ -167,16 +607,161 @@
   }
 
   /**
-   * Highlights the card closest to the viewport center (mobile)
+   * Lists a card's mobile slides: the cover, then whichever of its hover image,
+   * video and flipbook frames the media policy allows
+   * @param {HTMLElement} card - The project card element
+   * @returns {string[]} SLIDE_MODES keys
+   */
+  function getSlides(card) {
+    const policy = getPolicy();
+    const slides = ['cover'];
+    if (policy.level !== 'posters' && card.querySelector('.card-hover')) {
+      slides.push('hover');
+    }
+    if (policy.playVideo && getCardVideo(card)) {
+      slides.push('video');
+    }
+    if (policy.level !== 'posters' && getCardFrames(card).length) {
+      slides.push('frames');
+    }
+    return slides;
+  }
+
+  /**
+   * Shows one of a card's slides (CSS keys off data-slide) and its dot
+   * @param {HTMLElement} card - The project card element
+   * @param {number} index
+   */
+  function setSlide(card, index) {
+    const state = getState(card);
+    state.slide = Math.min(state.slides.length - 1, Math.max(0, index));
+    card.dataset.slide = state.slides[state.slide];
+
+    const dots = card.querySelector('.card-dots');
+    if (dots) {
+      Array.from(dots.children).forEach((dot, i) => {
+        dot.classList.toggle('is-active', i === state.slide);
+      });
+    }
+  }
+
+  /**
+   * (Re)builds a card's slides and dots, back on the first slide
+   * @param {HTMLElement} card - The project card element
+   */
+  function setupSlides(card) {
+    const state = getState(card);
+    state.slides = getSlides(card);
+    card.classList.toggle(SLIDES_CLASS, state.slides.length > 1);
+
+    let dots = card.querySelector('.card-dots');
+    if (state.slides.length < 2) {
+      if (dots) dots.remove();
+    } else {
+      if (!dots) {
+        dots = document.createElement('div');
+        dots.className = 'card-dots';
+        dots.setAttribute('aria-hidden', 'true');
+        card.querySelector('.card-image-wrapper').insertAdjacentElement('afterend', dots);
+      }
+      dots.textContent = '';
+      state.slides.forEach(() => {
+        const dot = document.createElement('span');
+        dot.className = 'card-dot';
+        dots.appendChild(dot);
+      });
+    }
+    setSlide(card, 0);
+  }
+
+  /**
+   * Moves a card to its next or previous slide and plays what's on it
+   * @param {HTMLElement} card - The project card element
+   * @param {number} step - 1 or -1
+   */
+  function stepSlide(card, step) {
+    const state = getState(card);
+    const index = state.slide + step;
+    if (index < 0 || index >= state.slides.length) return;
+
+    stopMedia(card);
+    setSlide(card, index);
+    startMedia(card);
+  }
+
+  /**
+   * Handles pointerdown on a card: remembers where a touch started
+   * @param {HTMLElement} card - The project card element
+   * @param {PointerEvent} event
    */
-  function updateCenteredCard() {
-    if (projectCards.length === 0) return;
+  function handleSwipeStart(card, event) {
+    if (event.pointerType !== 'touch' || !event.isPrimary) return;
+
+    const state = getState(card);
+    state.swipe = { id: event.pointerId, x: event.clientX, y: event.clientY };
+    state.swiped = false;
+  }
+
+  /**
+   * Handles pointerup on a card: a mostly sideways touch past SWIPE_DISTANCE
+   * changes slide (left = next)
+   * @param {HTMLElement} card - The project card element
+   * @param {PointerEvent} event
+   */
+  function handleSwipeEnd(card, event) {
+    const state = getState(card);
+    const swipe = state.swipe;
+    state.swipe = null;
+    if (!swipe || swipe.id !== event.pointerId || state.slides.length < 2) return;
+
+    const dx = event.clientX - swipe.x;
+    const dy = event.clientY - swipe.y;
+    if (Math.abs(dx) < SWIPE_DISTANCE || Math.abs(dx) < Math.abs(dy)) return;
+
+    // The click that follows shouldn't open the project
+    state.swiped = true;
+    stepSlide(card, dx < 0 ? 1 : -1);
+  }
 
+  /**
+   * Swallows the click that ends a swipe
+   * @param {HTMLElement} card - The project card element
+   * @param {MouseEvent} event
+   */
+  function handleSwipeClick(card, event) {
+    const state = getState(card);
+    if (!state.swiped) return;
+
+    state.swiped = false;
+    event.preventDefault();
+  }
+
+  /**
+   * Attaches swipe handlers and builds slides for every card (touch screens)
+   */
+  function attachSwipeHandlers() {
+    projectCards.forEach(card => {
+      setupSlides(card);
+      card.addEventListener('pointerdown', (event) => handleSwipeStart(card, event));
+      card.addEventListener('pointerup', (event) => handleSwipeEnd(card, event));
+      card.addEventListener('pointercancel', () => {
+        getState(card).swipe = null;
+      });
+      card.addEventListener('click', (event) => handleSwipeClick(card, event));
+    });
+  }
+
+  /**
+   * Finds the card whose middle is nearest the viewport's
+   * @param {HTMLElement[]} cards - Candidates
+   * @returns {HTMLElement|null}
+   */
+  function findCenteredCard(cards) {
     const viewportCenter = window.innerHeight / 2;
     let closestCard = null;
     let closestDistance = Infinity;
 
-    projectCards.forEach(card => {
+    cards.forEach(card => {
       const rect = card.getBoundingClientRect();
       const cardCenter = rect.top + rect.height / 2;
       const distance = Math.abs(viewportCenter - cardCenter);
@@ -186,61 +771,76 @@
         closestCard = card;
       }
     });
-
-    projectCards.forEach(card => {
-      card.classList.toggle('is-centered', card === closestCard);
-    });
-
-    if (closestCard !== centeredCard) {
-      setCenteredCard(closestCard);
-    }
+    return closestCard;
   }
 
-  function clearCenteredFlip() {
-    if (flipIntervalId) {
-      clearInterval(flipIntervalId);
-      flipIntervalId = null;
-    }
-
+  /**
+   * Makes a card the centered one: the previous card stops and goes back to its
+   * first slide; the new one starts on its video when the policy autoplays
+   * @param {HTMLElement|null} card - The project card element
+   */
+  function setCenteredCard(card) {
     if (centeredCard) {
-      stopCardVideo(centeredCard);
-      centeredCard.classList.remove('is-flipped');
+      centeredCard.classList.remove(CENTERED_CLASS);
+      stopMedia(centeredCard);
+      setSlide(centeredCard, 0);
     }
-
-    isFlipped = false;
-  }
-
-  function setCenteredCard(card) {
-    clearCenteredFlip();
     centeredCard = card;
 
     if (!centeredCard) return;
 
-    if (getCardVideo(centeredCard)) {
-      playCardVideo(centeredCard);
-      return;
+    const slides = getState(centeredCard).slides;
+    centeredCard.classList.add(CENTERED_CLASS);
+    if (getPolicy().autoplayVideo && slides.includes('video')) {
+      setSlide(centeredCard, slides.indexOf('video'));
     }
-
-    flipIntervalId = setInterval(() => {
-      isFlipped = !isFlipped;
-      centeredCard.classList.toggle('is-flipped', isFlipped);
-    }, 1000);
+    startMedia(centeredCard);
   }
 
-  function requestCenterTick() {
-    if (!isCenterTicking) {
-      window.requestAnimationFrame(() => {
-        updateCenteredCard();
-        isCenterTicking = false;
-      });
-      isCenterTicking = true;
+  /**
+   * Tracks which cards cross the middle of the viewport; of those, the one
+   * nearest the center is the centered card. Between cards it stays put.
+   * Without IntersectionObserver, measures every card on scroll instead.
+   */
+  function attachCenterHighlightHandlers() {
+    const update = cards => {
+      const card = findCenteredCard(cards);
+      if (card && card !== centeredCard) {
+        setCenteredCard(card);
+      }
+    };
+
+    if (!('IntersectionObserver' in window)) {
+      let ticking = false;
+      const requestTick = () => {
+        if (ticking) return;
+        ticking = true;
+        window.requestAnimationFrame(() => {
+          ticking = false;
+          update(projectCards);
+        });
+      };
+      update(projectCards);
+      window.addEventListener('scroll', requestTick, { passive: true });
+      window.addEventListener('resize', requestTick);
+      return;
     }
-  }
 
-  function attachCenterHighlightHandlers() {
-    updateCenteredCard();
-    window.addEventListener('scroll', requestCenterTick, { passive: true });
-    window.addEventListener('resize', requestCenterTick);
+    const inBand = new Set();
+    const observer = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) {
+          inBand.add(entry.target);
+        } else {
+          inBand.delete(entry.target);
+        }
+      });
+      update(Array.from(inBand));
+    }, { root: null, rootMargin: CENTER_BAND, threshold: 0 });
+
+    projectCards.forEach(card => {
+      observer.observe(card);
+    });
   }
 
   /**
@@ -254,15 +854,26 @@
       return;
     }
 
-    // Mobile: highlight card centered in viewport
+    // Follow the media policy (js/media-policy.js) as it changes
+    updateVideoPreload();
+    if (window.MediaPolicy) {
+      document.addEventListener(window.MediaPolicy.CHANGE_EVENT, handlePolicyChange);
+    }
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    // Mobile: swipeable slides, and highlight the card centered in viewport
     if (!supportsHover) {
+      attachSwipeHandlers();
       attachCenterHighlightHandlers();
       return;
     }
 
-    // Setup image preloading
+    // Setup image preloading (when the media policy allows it)
     setupImagePreloading();
 
+    // Pointer parallax and tilt (fine pointers, no reduced motion)
+    setupParallax();
+
     // Attach hover handlers
     attachHoverHandlers();
   }
@@ -8,9 +8,35 @@
 
   // Configuration constants
   const ANIMATION_DURATION = 300; // ms - matches CSS transition duration
+  const FLIP_DURATION = 500; // ms - cards gliding to their new grid position
+  const FLIP_EASING = 'cubic-bezier(0.2, 0, 0, 1)';
   const HIDDEN_CLASS = 'filter-hidden';
+  const LEAVING_CLASS = 'is-leaving';
+  const FILTERING_CLASS = 'is-filtering';
   const ACTIVE_CLASS = 'active';
   const OPEN_CLASS = 'open';
+  const FILTER_ALL = 'all';
+  const MATCH_ANY = 'any';
+  const MATCH_ALL = 'all';
+  const HASH_SEPARATORS = { any: ',', all: '+' }; // #web,branding = any of, #web+branding = all of
+  const HISTORY_PUSH = 'push';
+  const HISTORY_REPLACE = 'replace';
+  const HISTORY_NONE = 'none';
+  const SEARCH_PARAM = 'q';
+  const SORT_PARAM = 'sort';
+  const INDUSTRY_PARAM = 'industry';
+  const SORT_FEATURED = 'featured';
+  const SORT_NEWEST = 'newest';
+  const SEARCH_DEBOUNCE = 200; // ms
+  const HIGHLIGHT_CLASS = 'search-highlight';
+  const COUNT_CLASS = 'filter-count';
+  const EMPTY_FILTER_CLASS = 'is-empty';
+  const TYPEAHEAD_TIMEOUT = 500; // ms - dropdown type-to-select buffer
+  const SEARCHABLE_SELECTORS = '.card-title, .card-pill-text, .tag, .card-pill-tag, .card-description';
+  const SEQUENCE_STORAGE_KEY = 'projectSequence'; // read by js/project-nav.js for prev/next
+
+  // Reduced motion skips the FLIP reflow (checked per transition, so OS changes apply live)
+  const reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
 
   // DOM element references (cached after DOM load)
   let filterPills = [];
@@ -21,12 +47,43 @@
   let dropdownLabel = null;
   let dropdownMenu = null;
   let filterPillsContainer = null;
+  let matchModeContainer = null;
+  let matchModeButtons = [];
+  let searchInput = null;
+  let searchClearButton = null;
+  let emptyState = null;
+  let emptyStateQuery = null;
+  let searchIndex = new Map(); // card → folded searchable text
+  let searchDebounceTimer = null;
+  let filterStatus = null;
+  let categoryCounts = new Map(); // category slug → number of cards
+  let filterBar = null;
+  let industryToggle = null;
+  let industryPanel = null;
+  let industryOptionsContainer = null;
+  let industryClearButton = null;
+  let industryButtons = [];
+  let industryOptions = []; // [{ slug, label, count }] derived from the cards
+  let cardIndustries = new Map(); // card → industry slugs
   let isDraggingPills = false;
   let dragStartX = 0;
   let dragStartScrollLeft = 0;
   let hasDraggedPills = false;
-  let currentFilterValue = 'all';
+  let sortSelect = null;
+  let projectGrid = null;
+  let originalOrder = new Map(); // card → index in the rendered grid (featured order)
+  let unavailableSorts = []; // sort modes the cards have no data for (see pruneSortOptions)
+  let currentSelection = {
+    filters: [], // empty = all projects
+    matchMode: MATCH_ANY,
+    query: '',
+    sort: SORT_FEATURED,
+    industries: [] // empty = any industry
+  };
   let filterActionId = 0;
+  let runningAnimations = [];
+  let typeaheadBuffer = '';
+  let typeaheadTimer = null;
 
   /**
    * Cache DOM references for better performance
@@ -40,6 +97,590 @@
     dropdownLabel = document.querySelector('.filter-dropdown-label');
     dropdownMenu = document.querySelector('.filter-dropdown-menu');
     filterPillsContainer = document.querySelector('.filter-pills');
+    matchModeContainer = document.querySelector('.filter-match');
+    matchModeButtons = Array.from(document.querySelectorAll('.filter-match-option'));
+    searchInput = document.getElementById('filter-search-input');
+    searchClearButton = document.querySelector('.filter-search-clear');
+    emptyState = document.getElementById('project-grid-empty');
+    emptyStateQuery = document.querySelector('.project-grid-empty-query');
+    filterStatus = document.getElementById('filter-status');
+    sortSelect = document.getElementById('filter-sort');
+    filterBar = document.getElementById('filter-bar');
+    industryToggle = document.querySelector('.filter-industry-toggle');
+    industryPanel = document.getElementById('filter-industry-panel');
+    industryOptionsContainer = document.querySelector('.filter-industry-options');
+    industryClearButton = document.querySelector('.filter-industry-clear');
+    projectGrid = document.getElementById('project-grid');
+  }
+
+  /**
+   * Checks whether a value is one of the category filters rendered in the bar
+   * @param {string} filterValue - The filter value/slug
+   * @returns {boolean}
+   */
+  function isKnownFilter(filterValue) {
+    if (!filterValue || filterValue === FILTER_ALL) return false;
+    return filterPills.some(p => p.dataset.filter === filterValue) ||
+           dropdownItems.some(i => i.dataset.filter === filterValue);
+  }
+
+  /**
+   * Returns the category slugs in the order they appear in the filter bar
+   * @returns {string[]}
+   */
+  function getFilterOrder() {
+    const source = filterPills.length ? filterPills : dropdownItems;
+    return source.map(el => el.dataset.filter).filter(value => value && value !== FILTER_ALL);
+  }
+
+  /**
+   * Sorts a selection into filter bar order so URLs stay stable
+   * @param {string[]} filters - Selected category slugs
+   * @returns {string[]}
+   */
+  function normalizeFilters(filters) {
+    const order = getFilterOrder();
+    return order.filter(value => filters.includes(value));
+  }
+
+  /**
+   * Parses a URL hash into a filter selection
+   * "#web" → web, "#web,branding" → web OR branding, "#web+branding" → web AND branding
+   * @param {string} hash - The location hash (with or without the leading #)
+   * @returns {{filters: string[], matchMode: string}}
+   */
+  function parseFilterHash(hash) {
+    const value = (hash || '').replace(/^#/, '');
+    const matchMode = value.indexOf(HASH_SEPARATORS.all) !== -1 ? MATCH_ALL : MATCH_ANY;
+    const filters = value.split(HASH_SEPARATORS[matchMode]).filter(isKnownFilter);
+    return { filters: normalizeFilters(filters), matchMode };
+  }
+
+  /**
+   * Serializes a filter selection into a URL hash (empty string for all projects)
+   * @param {string[]} filters - Selected category slugs
+   * @param {string} matchMode - 'any' or 'all'
+   * @returns {string}
+   */
+  function serializeFilterHash(filters, matchMode) {
+    if (filters.length === 0) return '';
+    return '#' + filters.join(HASH_SEPARATORS[matchMode]);
+  }
+
+  /**
+   * Builds the page URL for a selection, keeping unrelated query params
+   * Categories live in the hash, search in ?q= and a non-default sort in ?sort=
+   * @param {Object} selection - { filters, matchMode, query, sort }
+   * @returns {string}
+   */
+  function buildFilterUrl(selection) {
+    const params = new URLSearchParams(window.location.search);
+    if (selection.query) {
+      params.set(SEARCH_PARAM, selection.query);
+    } else {
+      params.delete(SEARCH_PARAM);
+    }
+    if (selection.industries.length) {
+      params.set(INDUSTRY_PARAM, selection.industries.join(','));
+    } else {
+      params.delete(INDUSTRY_PARAM);
+    }
+    if (selection.sort !== SORT_FEATURED) {
+      params.set(SORT_PARAM, selection.sort);
+    } else {
+      params.delete(SORT_PARAM);
+    }
+    const search = params.toString();
+    return window.location.pathname + (search ? '?' + search : '') +
+           serializeFilterHash(selection.filters, selection.matchMode);
+  }
+
+  /**
+   * Checks whether two selections would render the same grid
+   * @param {Object} a - { filters, matchMode, query, sort }
+   * @param {Object} b - { filters, matchMode, query, sort }
+   * @returns {boolean}
+   */
+  function isSameSelection(a, b) {
+    return a.matchMode === b.matchMode &&
+           a.query === b.query &&
+           a.sort === b.sort &&
+           a.filters.join() === b.filters.join() &&
+           a.industries.join() === b.industries.join();
+  }
+
+  /**
+   * Turns an industry label into a URL-safe slug ("TV & Film" → "tv-film")
+   * @param {string} label - The industry label
+   * @returns {string}
+   */
+  function slugifyIndustry(label) {
+    return foldText(label).text.replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  }
+
+  /**
+   * Reads the industry tags on every card (data-industries, comma-separated labels)
+   * and builds the facet options, most common first
+   */
+  function buildIndustryIndex() {
+    const options = new Map();
+    cardIndustries = new Map();
+
+    projectCards.forEach(card => {
+      const labels = (card.dataset.industries || '').split(',').map(label => label.trim()).filter(Boolean);
+      const slugs = [];
+      labels.forEach(label => {
+        const slug = slugifyIndustry(label);
+        if (!slug || slugs.includes(slug)) return;
+        slugs.push(slug);
+        const option = options.get(slug) || { slug, label, count: 0 };
+        option.count += 1;
+        options.set(slug, option);
+      });
+      cardIndustries.set(card, slugs);
+    });
+
+    industryOptions = Array.from(options.values())
+      .sort((a, b) => (b.count - a.count) || compareText(a.label, b.label));
+  }
+
+  /**
+   * Keeps only known industry slugs, in facet order
+   * @param {string[]} industries - Industry slugs
+   * @returns {string[]}
+   */
+  function normalizeIndustries(industries) {
+    return industryOptions.map(option => option.slug).filter(slug => industries.includes(slug));
+  }
+
+  /**
+   * Gets the label for an industry slug, in the current language
+   * @param {string} slug - The industry slug
+   * @returns {string}
+   */
+  function getIndustryLabel(slug) {
+    const option = industryOptions.find(o => o.slug === slug);
+    return translate('industry.' + slug, option ? option.label : slug);
+  }
+
+  /**
+   * Checks whether a card carries any of the selected industries
+   * @param {HTMLElement} card - The project card element
+   * @param {string[]} industries - Selected industry slugs (empty = any)
+   * @returns {boolean}
+   */
+  function cardMatchesIndustries(card, industries) {
+    if (industries.length === 0) return true;
+    const slugs = cardIndustries.get(card) || [];
+    return industries.some(slug => slugs.includes(slug));
+  }
+
+  /**
+   * Creates a facet button for an industry (panel chip or dropdown option)
+   * @param {Object} option - { slug, label, count }
+   * @param {string} className - 'filter-industry-option' or 'filter-dropdown-item'
+   * @returns {HTMLButtonElement}
+   */
+  function createIndustryButton(option, className) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = className;
+    button.dataset.industry = option.slug;
+
+    const badge = document.createElement('span');
+    badge.className = COUNT_CLASS;
+    badge.setAttribute('aria-hidden', 'true');
+    badge.textContent = option.count;
+    button.appendChild(badge);
+    labelIndustryButton(button, option);
+    return button;
+  }
+
+  /**
+   * Sets an industry button's text and accessible name in the current language
+   * @param {HTMLButtonElement} button - Panel chip or dropdown option
+   * @param {Object} option - { slug, label, count }
+   */
+  function labelIndustryButton(button, option) {
+    const label = getIndustryLabel(option.slug);
+    button.dataset.label = label;
+    setButtonText(button, label);
+    button.setAttribute('aria-label', label + ', ' + formatProjectCount(option.count));
+  }
+
+  /**
+   * Relabels every industry chip and dropdown option (after a language switch)
+   */
+  function relabelIndustryButtons() {
+    industryButtons.concat(dropdownItems).forEach(button => {
+      const option = industryOptions.find(o => o.slug === button.dataset.industry);
+      if (option) labelIndustryButton(button, option);
+    });
+  }
+
+  /**
+   * Renders industry chips into the desktop panel and an "Industry" group into
+   * the mobile dropdown (when present)
+   */
+  function renderIndustryFacet() {
+    if (industryOptionsContainer) {
+      industryOptionsContainer.textContent = '';
+      industryOptions.forEach(option => {
+        const button = createIndustryButton(option, 'filter-industry-option');
+        button.setAttribute('aria-pressed', 'false');
+        industryOptionsContainer.appendChild(button);
+      });
+      industryButtons = Array.from(industryOptionsContainer.querySelectorAll('.filter-industry-option'));
+    }
+
+    if (industryOptions.length === 0) {
+      if (industryToggle) industryToggle.hidden = true;
+      return;
+    }
+
+    if (dropdownMenu && !dropdownMenu.querySelector('.filter-dropdown-group')) {
+      const group = document.createElement('div');
+      group.className = 'filter-dropdown-group';
+      group.setAttribute('role', 'group');
+      group.setAttribute('aria-labelledby', 'filter-dropdown-group-industry');
+
+      const heading = document.createElement('div');
+      heading.className = 'filter-dropdown-group-label';
+      heading.id = 'filter-dropdown-group-industry';
+      heading.textContent = 'Industry';
+      heading.dataset.i18n = 'filter.industry';
+      group.appendChild(heading);
+
+      industryOptions.forEach(option => {
+        group.appendChild(createIndustryButton(option, 'filter-dropdown-item'));
+      });
+      dropdownMenu.appendChild(group);
+      if (window.I18n) window.I18n.apply(group);
+      dropdownItems = Array.from(document.querySelectorAll('.filter-dropdown-item'));
+    }
+  }
+
+  /**
+   * Syncs industry chips, dropdown options and the panel toggle to a selection
+   * @param {string[]} industries - Selected industry slugs
+   */
+  function updateIndustryUI(industries) {
+    industryButtons.forEach(button => {
+      const isActive = industries.includes(button.dataset.industry);
+      button.classList.toggle(ACTIVE_CLASS, isActive);
+      button.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+    });
+
+    dropdownItems.forEach(item => {
+      if (!item.dataset.industry) return;
+      const isActive = industries.includes(item.dataset.industry);
+      item.classList.toggle(ACTIVE_CLASS, isActive);
+      item.setAttribute('aria-selected', isActive ? 'true' : 'false');
+    });
+
+    if (industryToggle) {
+      const count = industryToggle.querySelector('.' + COUNT_CLASS);
+      industryToggle.classList.toggle(ACTIVE_CLASS, industries.length > 0);
+      if (count) {
+        count.textContent = industries.length ? industries.length : '';
+      }
+    }
+    if (industryClearButton) {
+      industryClearButton.hidden = industries.length === 0;
+    }
+  }
+
+  /**
+   * Checks whether the industry panel is open
+   * @returns {boolean}
+   */
+  function isIndustryPanelOpen() {
+    return Boolean(industryPanel && !industryPanel.hidden);
+  }
+
+  /**
+   * Opens or closes the industry panel
+   * @param {boolean} open - Whether the panel should be open
+   * @param {boolean} [returnFocus=false] - Move focus back to the toggle when closing
+   */
+  function setIndustryPanelOpen(open, returnFocus = false) {
+    if (!industryPanel || !industryToggle) return;
+    industryPanel.hidden = !open;
+    industryToggle.setAttribute('aria-expanded', open ? 'true' : 'false');
+    if (filterBar) {
+      filterBar.classList.toggle('industry-open', open);
+    }
+    if (!open && returnFocus) {
+      industryToggle.focus();
+    }
+  }
+
+  /**
+   * Gets a card's project title (without search highlights)
+   * @param {HTMLElement} card - The project card element
+   * @returns {string}
+   */
+  function getCardTitle(card) {
+    const title = card.querySelector('.card-pill-text') || card.querySelector('.card-title');
+    if (!title) return '';
+    return title.dataset.searchText !== undefined ? title.dataset.searchText : title.textContent.trim();
+  }
+
+  /**
+   * Gets a card's featured rank (data-featured, else its position in index.html)
+   * @param {HTMLElement} card - The project card element
+   * @returns {number}
+   */
+  function getFeaturedRank(card) {
+    const rank = parseInt(card.dataset.featured, 10);
+    return Number.isNaN(rank) ? projectCards.length + originalOrder.get(card) : rank;
+  }
+
+  /**
+   * Compares two strings for display ordering (handles Ž, Š, Đ…)
+   * @param {string} a
+   * @param {string} b
+   * @returns {number}
+   */
+  function compareText(a, b) {
+    return a.localeCompare(b, undefined, { sensitivity: 'base' });
+  }
+
+  /**
+   * Card comparators per sort mode; ties fall back to featured order
+   */
+  const SORT_COMPARATORS = {
+    featured: (a, b) => getFeaturedRank(a) - getFeaturedRank(b),
+    // Newest first; cards without a data-year go last
+    newest: (a, b) => {
+      const yearA = parseInt(a.dataset.year, 10) || 0;
+      const yearB = parseInt(b.dataset.year, 10) || 0;
+      return (yearB - yearA) || SORT_COMPARATORS.featured(a, b);
+    },
+    az: (a, b) => compareText(getCardTitle(a), getCardTitle(b)) || SORT_COMPARATORS.featured(a, b),
+    // Grouped by client industry, A–Z within each group
+    industry: (a, b) => {
+      const industryA = a.dataset.industry || '';
+      const industryB = b.dataset.industry || '';
+      if (!industryA !== !industryB) return industryA ? -1 : 1;
+      return compareText(industryA, industryB) || SORT_COMPARATORS.az(a, b);
+    }
+  };
+
+  /**
+   * Checks whether a value is a supported sort mode
+   * @param {string} sort - The sort mode
+   * @returns {boolean}
+   */
+  function isKnownSort(sort) {
+    return Object.prototype.hasOwnProperty.call(SORT_COMPARATORS, sort) && !unavailableSorts.includes(sort);
+  }
+
+  /**
+   * Removes sort modes the cards have no data for: "Newest" until a project
+   * has a year, since it would keep the featured order
+   */
+  function pruneSortOptions() {
+    if (!projectCards.some(card => card.dataset.year)) {
+      unavailableSorts.push(SORT_NEWEST);
+    }
+    if (!sortSelect) return;
+    unavailableSorts.forEach(sort => {
+      const option = sortSelect.querySelector('option[value="' + sort + '"]');
+      if (option) option.remove();
+    });
+  }
+
+  /**
+   * Reorders the cards in the grid for a sort mode
+   * @param {string} sort - The sort mode ('featured', 'newest', 'az', 'industry')
+   */
+  function sortCards(sort) {
+    if (!projectGrid) return;
+    const comparator = SORT_COMPARATORS[sort] || SORT_COMPARATORS[SORT_FEATURED];
+    const sorted = projectCards.slice().sort(comparator);
+
+    // Only touch the DOM when the order actually changes
+    const current = Array.from(projectGrid.querySelectorAll('.project-card'));
+    if (sorted.every((card, index) => card === current[index])) return;
+
+    sorted.forEach(card => projectGrid.appendChild(card));
+  }
+
+  /**
+   * Syncs the sort control to a sort mode
+   * @param {string} sort - The sort mode
+   */
+  function updateSortUI(sort) {
+    if (sortSelect && sortSelect.value !== sort) {
+      sortSelect.value = sort;
+    }
+  }
+
+  /**
+   * Folds a single character for accent- and case-insensitive matching
+   * ("Ž" → "z", "đ" → "d")
+   * @param {string} char - A single character
+   * @returns {string}
+   */
+  function foldChar(char) {
+    const lower = char.toLowerCase();
+    if (lower === 'đ') return 'd';
+    return lower.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  }
+
+  /**
+   * Folds text for searching and keeps a map from folded to original indices,
+   * so matches found in folded text can be highlighted in the original
+   * @param {string} text - The original text
+   * @returns {{text: string, map: number[]}}
+   */
+  function foldText(text) {
+    let folded = '';
+    const map = [];
+    for (let i = 0; i < text.length; i++) {
+      const char = foldChar(text[i]);
+      for (let j = 0; j < char.length; j++) {
+        folded += char[j];
+        map.push(i);
+      }
+    }
+    return { text: folded, map };
+  }
+
+  /**
+   * Splits a search query into folded terms (every term must match)
+   * @param {string} query - The search text
+   * @returns {string[]}
+   */
+  function getQueryTerms(query) {
+    return foldText(query).text.split(/\s+/).filter(Boolean);
+  }
+
+  /**
+   * Indexes each card's title, tags and description for searching,
+   * keeping the original text of each field so highlights can be undone
+   */
+  function buildSearchIndex() {
+    searchIndex = new Map();
+    projectCards.forEach(card => {
+      const fields = Array.from(card.querySelectorAll(SEARCHABLE_SELECTORS));
+      fields.forEach(field => {
+        field.dataset.searchText = field.textContent;
+      });
+      const haystack = fields.map(field => field.dataset.searchText).join(' ');
+      searchIndex.set(card, foldText(haystack).text);
+    });
+  }
+
+  /**
+   * Checks whether a card contains every search term
+   * @param {HTMLElement} card - The project card element
+   * @param {string[]} terms - Folded search terms
+   * @returns {boolean}
+   */
+  function cardMatchesQuery(card, terms) {
+    if (terms.length === 0) return true;
+    const haystack = searchIndex.get(card) || '';
+    return terms.every(term => haystack.includes(term));
+  }
+
+  /**
+   * Wraps search term matches in a field with <mark> elements
+   * @param {HTMLElement} field - A searchable text element
+   * @param {string[]} terms - Folded search terms
+   */
+  function highlightField(field, terms) {
+    const original = field.dataset.searchText;
+    if (original === undefined) return;
+
+    if (terms.length === 0) {
+      if (field.querySelector('.' + HIGHLIGHT_CLASS)) {
+        field.textContent = original;
+      }
+      return;
+    }
+
+    // Collect matched ranges in original-text indices, then merge overlaps
+    const folded = foldText(original);
+    const ranges = [];
+    terms.forEach(term => {
+      let index = folded.text.indexOf(term);
+      while (index !== -1) {
+        ranges.push([folded.map[index], folded.map[index + term.length - 1] + 1]);
+        index = folded.text.indexOf(term, index + term.length);
+      }
+    });
+
+    if (ranges.length === 0) {
+      field.textContent = original;
+      return;
+    }
+
+    ranges.sort((a, b) => a[0] - b[0]);
+    const merged = [ranges[0]];
+    ranges.slice(1).forEach(range => {
+      const last = merged[merged.length - 1];
+      if (range[0] <= last[1]) {
+        last[1] = Math.max(last[1], range[1]);
+      } else {
+        merged.push(range);
+      }
+    });
+
+    const fragment = document.createDocumentFragment();
+    let cursor = 0;
+    merged.forEach(([start, end]) => {
+      if (start > cursor) {
+        fragment.appendChild(document.createTextNode(original.slice(cursor, start)));
+      }
+      const mark = document.createElement('mark');
+      mark.className = HIGHLIGHT_CLASS;
+      mark.textContent = original.slice(start, end);
+      fragment.appendChild(mark);
+      cursor = end;
+    });
+    if (cursor < original.length) {
+      fragment.appendChild(document.createTextNode(original.slice(cursor)));
+    }
+
+    field.textContent = '';
+    field.appendChild(fragment);
+  }
+
+  /**
+   * Updates highlights on every searchable field of a card
+   * @param {HTMLElement} card - The project card element
+   * @param {string[]} terms - Folded search terms
+   */
+  function highlightCard(card, terms) {
+    card.querySelectorAll(SEARCHABLE_SELECTORS).forEach(field => highlightField(field, terms));
+  }
+
+  /**
+   * Shows the empty state when no cards are visible
+   * @param {number} visibleCount - Number of cards left after filtering
+   * @param {string} query - The search text
+   */
+  function updateEmptyState(visibleCount, query) {
+    if (!emptyState) return;
+    emptyState.hidden = visibleCount > 0;
+    if (emptyStateQuery) {
+      emptyStateQuery.textContent = query ? '“' + query + '”' : '';
+    }
+  }
+
+  /**
+   * Syncs the search input and its clear button to a query
+   * @param {string} query - The search text
+   */
+  function updateSearchUI(query) {
+    if (searchInput && searchInput.value !== query) {
+      searchInput.value = query;
+    }
+    if (searchClearButton) {
+      searchClearButton.hidden = !query;
+    }
   }
 
   /**
@@ -81,157 +722,799 @@
     filterPillsContainer.addEventListener('pointercancel', stopDrag);
     filterPillsContainer.addEventListener('pointerleave', stopDrag);
 
-    // Prevent accidental click when dragging with mouse
-    filterPillsContainer.addEventListener('click', (event) => {
-      if (hasDraggedPills) {
-        event.preventDefault();
-        event.stopPropagation();
-      }
+    // Prevent accidental click when dragging with mouse
+    filterPillsContainer.addEventListener('click', (event) => {
+      if (hasDraggedPills) {
+        event.preventDefault();
+        event.stopPropagation();
+      }
+    });
+  }
+
+  /**
+   * Translates a string through js/i18n.js when it's loaded
+   * @param {string} key - Dictionary key (js/i18n-strings.js)
+   * @param {string} fallback - English text
+   * @param {Object<string, string>} [values] - {name} replacements
+   * @returns {string}
+   */
+  function translate(key, fallback, values) {
+    if (window.I18n) return window.I18n.t(key, fallback, values);
+    return fallback.replace(/\{(\w+)\}/g, (match, name) => (values && name in values ? values[name] : match));
+  }
+
+  /**
+   * Replaces a button's own text, leaving its count badge in place
+   * @param {HTMLElement} button - A pill, dropdown item or industry chip
+   * @param {string} text
+   */
+  function setButtonText(button, text) {
+    const textNode = Array.from(button.childNodes).find(node => node.nodeType === Node.TEXT_NODE && node.nodeValue.trim());
+    if (textNode) {
+      textNode.nodeValue = text;
+    } else {
+      button.insertBefore(document.createTextNode(text), button.firstChild);
+    }
+  }
+
+  /**
+   * Gets the display text for a filter value in the current language
+   * @param {string} filterValue - The filter value/slug
+   * @returns {string} The human-readable label
+   */
+  function getFilterLabel(filterValue) {
+    // Try to find the corresponding button to get its English text (without the count badge)
+    const button = filterPills.find(p => p.dataset.filter === filterValue) ||
+                   dropdownItems.find(i => i.dataset.filter === filterValue);
+    const label = button
+      ? button.dataset.sourceLabel || button.textContent.trim()
+      // Fallback: capitalize first letter
+      : filterValue.charAt(0).toUpperCase() + filterValue.slice(1);
+
+    return translate('category.' + filterValue, label);
+  }
+
+  /**
+   * Formats a project count for announcements and labels
+   * @param {number} count - Number of projects
+   * @returns {string} e.g. "1 project", "5 projects" ("5 projekata" in Serbian)
+   */
+  function formatProjectCount(count) {
+    if (window.I18n) {
+      return window.I18n.formatCount(count, 'count.projects', { one: 'project', other: 'projects' });
+    }
+    return count + (count === 1 ? ' project' : ' projects');
+  }
+
+  /**
+   * Counts cards per category from their data-categories
+   * ("all" counts every card, including ones without categories)
+   */
+  function computeCategoryCounts() {
+    categoryCounts = new Map([[FILTER_ALL, projectCards.length]]);
+    projectCards.forEach(card => {
+      const categoryList = (card.dataset.categories || '').split(' ').filter(Boolean);
+      categoryList.forEach(category => {
+        categoryCounts.set(category, (categoryCounts.get(category) || 0) + 1);
+      });
+    });
+  }
+
+  /**
+   * Adds a count badge to a pill or dropdown item and disables it when
+   * its category has no projects
+   * @param {HTMLElement} button - A .filter-pill or .filter-dropdown-item
+   */
+  function renderFilterCount(button) {
+    const filterValue = button.dataset.filter;
+    if (!filterValue) return;
+
+    if (!button.dataset.sourceLabel) {
+      button.dataset.sourceLabel = button.textContent.trim();
+    }
+    button.dataset.label = getFilterLabel(filterValue);
+    setButtonText(button, button.dataset.label);
+
+    const count = categoryCounts.get(filterValue) || 0;
+    let badge = button.querySelector('.' + COUNT_CLASS);
+    if (!badge) {
+      badge = document.createElement('span');
+      badge.className = COUNT_CLASS;
+      badge.setAttribute('aria-hidden', 'true');
+      button.appendChild(badge);
+    }
+    badge.textContent = count;
+    button.setAttribute('aria-label', button.dataset.label + ', ' + formatProjectCount(count));
+
+    const isEmpty = count === 0;
+    button.classList.toggle(EMPTY_FILTER_CLASS, isEmpty);
+    button.disabled = isEmpty;
+    if (isEmpty) {
+      button.setAttribute('aria-disabled', 'true');
+    } else {
+      button.removeAttribute('aria-disabled');
+    }
+  }
+
+  /**
+   * Renders counts on every pill and dropdown item
+   */
+  function renderFilterCounts() {
+    computeCategoryCounts();
+    filterPills.forEach(renderFilterCount);
+    dropdownItems.forEach(renderFilterCount);
+  }
+
+  /**
+   * Announces the number of visible projects through the live region
+   * @param {number} visibleCount - Number of cards shown
+   */
+  function announceResults(visibleCount) {
+    if (!filterStatus) return;
+    filterStatus.textContent = translate('filter.shown', '{count} shown', { count: formatProjectCount(visibleCount) });
+  }
+
+  /**
+   * Gets the display text for a whole selection
+   * @param {string[]} filters - Selected category slugs
+   * @param {string} matchMode - 'any' or 'all'
+   * @returns {string} e.g. "Web, Branding" (any of) or "Web + Branding" (all of)
+   */
+  function getSelectionLabel(filters, matchMode) {
+    if (filters.length === 0) {
+      return getFilterLabel(FILTER_ALL);
+    }
+    const joiner = matchMode === MATCH_ALL ? ' + ' : ', ';
+    return filters.map(getFilterLabel).join(joiner);
+  }
+
+  /**
+   * Gets the dropdown label for categories plus any selected industries
+   * @param {Object} selection - { filters, matchMode, industries }
+   * @returns {string} e.g. "Web · Finance, Investment"
+   */
+  function getDropdownLabel(selection) {
+    const label = getSelectionLabel(selection.filters, selection.matchMode);
+    if (selection.industries.length === 0) return label;
+    return label + ' · ' + selection.industries.map(getIndustryLabel).join(', ');
+  }
+
+  /**
+   * Checks whether a filter button should render as active for a selection
+   * @param {string} filterValue - The button's filter value
+   * @param {string[]} filters - Selected category slugs
+   * @returns {boolean}
+   */
+  function isFilterActive(filterValue, filters) {
+    if (filterValue === FILTER_ALL) return filters.length === 0;
+    return filters.includes(filterValue);
+  }
+
+  /**
+   * Updates the active state on filter pills
+   * @param {string[]} filters - The currently selected category slugs
+   */
+  function updatePillStates(filters) {
+    filterPills.forEach(pill => {
+      const isActive = isFilterActive(pill.dataset.filter, filters);
+      pill.classList.toggle(ACTIVE_CLASS, isActive);
+      pill.setAttribute('aria-selected', isActive ? 'true' : 'false');
+    });
+  }
+
+  /**
+   * Updates the active state on dropdown items
+   * @param {string[]} filters - The currently selected category slugs
+   */
+  function updateDropdownItemStates(filters) {
+    dropdownItems.forEach(item => {
+      if (!item.dataset.filter) return;
+      const isActive = isFilterActive(item.dataset.filter, filters);
+      item.classList.toggle(ACTIVE_CLASS, isActive);
+      item.setAttribute('aria-selected', isActive ? 'true' : 'false');
+    });
+  }
+
+  /**
+   * Updates the dropdown label text
+   * @param {Object} selection - { filters, matchMode, industries }
+   */
+  function updateDropdownLabel(selection) {
+    if (dropdownLabel) {
+      dropdownLabel.textContent = getDropdownLabel(selection);
+    }
+  }
+
+  /**
+   * Updates the any/all match toggle (only shown when 2+ categories are selected)
+   * @param {string[]} filters - The currently selected category slugs
+   * @param {string} matchMode - 'any' or 'all'
+   */
+  function updateMatchModeStates(filters, matchMode) {
+    if (matchModeContainer) {
+      matchModeContainer.hidden = filters.length < 2;
+    }
+    matchModeButtons.forEach(button => {
+      const isActive = button.dataset.matchMode === matchMode;
+      button.classList.toggle(ACTIVE_CLASS, isActive);
+      button.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+    });
+  }
+
+  /**
+   * Syncs pills, dropdown, match toggle and industry facet to a selection
+   * @param {Object} selection - { filters, matchMode, industries }
+   */
+  function updateFilterUI(selection) {
+    const { filters, matchMode } = selection;
+    updatePillStates(filters);
+    syncPillTabindex();
+    updateDropdownItemStates(filters);
+    updateDropdownLabel(selection);
+    updateMatchModeStates(filters, matchMode);
+    updateIndustryUI(selection.industries);
+  }
+
+  /**
+   * Checks whether the mobile dropdown menu is open
+   * @returns {boolean}
+   */
+  function isDropdownOpen() {
+    return Boolean(dropdownContainer && dropdownContainer.classList.contains(OPEN_CLASS));
+  }
+
+  /**
+   * Closes the mobile dropdown menu
+   * @param {boolean} [returnFocus=false] - Move focus back to the toggle button
+   */
+  function closeDropdown(returnFocus = false) {
+    const wasOpen = isDropdownOpen();
+    if (dropdownContainer) {
+      dropdownContainer.classList.remove(OPEN_CLASS);
+    }
+    if (dropdownToggle) {
+      dropdownToggle.setAttribute('aria-expanded', 'false');
+      if (returnFocus && wasOpen) {
+        dropdownToggle.focus();
+      }
+    }
+  }
+
+  /**
+   * Opens the mobile dropdown menu
+   * @param {string} [focusTarget] - 'selected', 'first' or 'last' option to focus (keyboard opens)
+   */
+  function openDropdown(focusTarget) {
+    if (dropdownContainer) {
+      dropdownContainer.classList.add(OPEN_CLASS);
+    }
+    if (dropdownToggle) {
+      dropdownToggle.setAttribute('aria-expanded', 'true');
+    }
+
+    const options = getEnabled(dropdownItems);
+    if (!focusTarget || options.length === 0) return;
+
+    let option = options[0];
+    if (focusTarget === 'last') {
+      option = options[options.length - 1];
+    } else if (focusTarget === 'selected') {
+      option = options.find(item => item.classList.contains(ACTIVE_CLASS)) || options[0];
+    }
+    focusRovingItem(dropdownItems, option);
+  }
+
+  /**
+   * Toggles the mobile dropdown menu
+   * @param {MouseEvent} event - The toggle button click
+   */
+  function toggleDropdown(event) {
+    if (isDropdownOpen()) {
+      closeDropdown();
+    } else {
+      // Keyboard activation (Enter/Space report detail 0) moves focus into the list
+      openDropdown(event.detail === 0 ? 'selected' : undefined);
+    }
+  }
+
+  /**
+   * Returns the buttons that can receive focus (empty categories are disabled)
+   * @param {HTMLElement[]} items - Pills or dropdown items
+   * @returns {HTMLElement[]}
+   */
+  function getEnabled(items) {
+    return items.filter(item => !item.disabled);
+  }
+
+  /**
+   * Roving tabindex: only the given item is in the tab order
+   * @param {HTMLElement[]} items - Pills or dropdown items
+   * @param {HTMLElement} activeItem - The item that should be tabbable
+   */
+  function setRovingTabindex(items, activeItem) {
+    items.forEach(item => {
+      item.setAttribute('tabindex', item === activeItem ? '0' : '-1');
     });
   }
 
   /**
-   * Gets the display text for a filter value
-   * @param {string} filterValue - The filter value/slug
-   * @returns {string} The human-readable label
+   * Moves focus to an item and makes it the tabbable one
+   * @param {HTMLElement[]} items - Pills or dropdown items
+   * @param {HTMLElement} item - The item to focus
    */
-  function getFilterLabel(filterValue) {
-    // Try to find the corresponding button to get its text
-    const pill = filterPills.find(p => p.dataset.filter === filterValue);
-    if (pill) {
-      return pill.textContent.trim();
+  function focusRovingItem(items, item) {
+    if (!item) return;
+    setRovingTabindex(items, item);
+    item.focus();
+    // Keep the focused pill visible inside the scrollable bar
+    if (typeof item.scrollIntoView === 'function') {
+      item.scrollIntoView({ block: 'nearest', inline: 'nearest' });
     }
+  }
 
-    const item = dropdownItems.find(i => i.dataset.filter === filterValue);
-    if (item) {
-      return item.textContent.trim();
-    }
+  /**
+   * Resolves the item an arrow/Home/End key should move to
+   * @param {HTMLElement[]} items - Enabled items in order
+   * @param {HTMLElement} current - The focused item
+   * @param {string} key - The pressed key
+   * @param {Object} keys - { next, previous } key names for the widget's orientation
+   * @param {boolean} wrap - Whether moving past an end wraps around
+   * @returns {HTMLElement|null} The target item, or null if the key isn't handled
+   */
+  function getKeyboardTarget(items, current, key, keys, wrap) {
+    const index = items.indexOf(current);
+    const last = items.length - 1;
 
-    // Fallback: capitalize first letter
-    return filterValue.charAt(0).toUpperCase() + filterValue.slice(1);
+    switch (key) {
+      case keys.next:
+        if (index < last) return items[index + 1];
+        return wrap ? items[0] : items[last];
+      case keys.previous:
+        if (index > 0) return items[index - 1];
+        return wrap ? items[last] : items[0];
+      case 'Home':
+        return items[0];
+      case 'End':
+        return items[last];
+      default:
+        return null;
+    }
   }
 
   /**
-   * Updates the active state on filter pills
-   * @param {string} activeFilter - The currently active filter value
+   * Points the pill roving tabindex at the first selected pill, unless focus is
+   * already inside the bar (so toggling a pill doesn't move the tab stop)
    */
-  function updatePillStates(activeFilter) {
-    filterPills.forEach(pill => {
-      const isActive = pill.dataset.filter === activeFilter;
-      pill.classList.toggle(ACTIVE_CLASS, isActive);
-      pill.setAttribute('aria-selected', isActive ? 'true' : 'false');
-    });
+  function syncPillTabindex() {
+    if (filterPills.length === 0) return;
+    if (filterPillsContainer && filterPillsContainer.contains(document.activeElement)) return;
+
+    const enabled = getEnabled(filterPills);
+    const activePill = enabled.find(pill => pill.classList.contains(ACTIVE_CLASS)) || enabled[0];
+    setRovingTabindex(filterPills, activePill);
   }
 
   /**
-   * Updates the active state on dropdown items
-   * @param {string} activeFilter - The currently active filter value
+   * Tabs keyboard model for the pill bar: ←/→ move (wrapping), Home/End jump,
+   * Enter/Space toggle (native button click). Activation is manual because every
+   * selection re-filters the grid and adds a history entry.
    */
-  function updateDropdownItemStates(activeFilter) {
-    dropdownItems.forEach(item => {
-      const isActive = item.dataset.filter === activeFilter;
-      item.classList.toggle(ACTIVE_CLASS, isActive);
-      item.setAttribute('aria-selected', isActive ? 'true' : 'false');
+  function attachPillKeyboardHandlers() {
+    if (!filterPillsContainer) return;
+
+    filterPillsContainer.addEventListener('keydown', (event) => {
+      const pill = event.target.closest('.filter-pill');
+      if (!pill) return;
+
+      const target = getKeyboardTarget(getEnabled(filterPills), pill, event.key,
+        { next: 'ArrowRight', previous: 'ArrowLeft' }, true);
+      if (!target) return;
+
+      event.preventDefault();
+      focusRovingItem(filterPills, target);
+    });
+
+    // Clicking or tabbing onto a pill makes it the tab stop
+    filterPillsContainer.addEventListener('focusin', (event) => {
+      const pill = event.target.closest('.filter-pill');
+      if (pill) {
+        setRovingTabindex(filterPills, pill);
+      }
     });
   }
 
   /**
-   * Updates the dropdown label text
-   * @param {string} filterValue - The currently active filter value
+   * Moves focus to the next option whose label starts with the typed characters
+   * @param {string} char - The typed character
+   * @param {HTMLElement} current - The focused option
    */
-  function updateDropdownLabel(filterValue) {
-    if (dropdownLabel) {
-      dropdownLabel.textContent = getFilterLabel(filterValue);
+  function handleTypeahead(char, current) {
+    clearTimeout(typeaheadTimer);
+    typeaheadTimer = setTimeout(() => {
+      typeaheadBuffer = '';
+    }, TYPEAHEAD_TIMEOUT);
+
+    typeaheadBuffer += char.toLowerCase();
+    const options = getEnabled(dropdownItems);
+    const start = options.indexOf(current);
+
+    // Repeating one letter cycles through options with that initial
+    const isRepeat = typeaheadBuffer.split('').every(c => c === typeaheadBuffer[0]);
+    const prefix = isRepeat ? typeaheadBuffer[0] : typeaheadBuffer;
+    const offset = isRepeat || typeaheadBuffer.length === 1 ? 1 : 0;
+
+    for (let i = 0; i < options.length; i++) {
+      const option = options[(start + offset + i) % options.length];
+      const label = option.dataset.label || option.textContent.trim();
+      if (label.toLowerCase().startsWith(prefix)) {
+        focusRovingItem(dropdownItems, option);
+        return;
+      }
     }
   }
 
   /**
-   * Closes the mobile dropdown menu
+   * Adds listbox semantics to the mobile dropdown (markup may come without them)
    */
-  function closeDropdown() {
-    if (dropdownContainer) {
-      dropdownContainer.classList.remove(OPEN_CLASS);
+  function setupDropdownAria() {
+    if (!dropdownMenu) return;
+
+    if (!dropdownMenu.id) {
+      dropdownMenu.id = 'filter-dropdown-menu';
+    }
+    dropdownMenu.setAttribute('role', 'listbox');
+    dropdownMenu.setAttribute('aria-multiselectable', 'true');
+    if (!dropdownMenu.hasAttribute('aria-label')) {
+      dropdownMenu.setAttribute('aria-label', translate('filter.categories', 'Filter projects by category'));
     }
+
+    dropdownItems.forEach(item => {
+      item.setAttribute('role', 'option');
+      item.setAttribute('tabindex', '-1');
+      item.setAttribute('aria-controls', 'project-grid');
+    });
+
     if (dropdownToggle) {
-      dropdownToggle.setAttribute('aria-expanded', 'false');
+      dropdownToggle.setAttribute('aria-haspopup', 'listbox');
+      dropdownToggle.setAttribute('aria-controls', dropdownMenu.id);
     }
   }
 
   /**
-   * Opens the mobile dropdown menu
+   * Listbox keyboard model for the mobile dropdown: ↓/↑ move, Home/End jump,
+   * typeahead, Enter/Space toggle, Tab closes, Escape closes and returns focus
    */
-  function openDropdown() {
-    if (dropdownContainer) {
-      dropdownContainer.classList.add(OPEN_CLASS);
-    }
+  function attachDropdownKeyboardHandlers() {
     if (dropdownToggle) {
-      dropdownToggle.setAttribute('aria-expanded', 'true');
+      dropdownToggle.addEventListener('keydown', (event) => {
+        if (event.key === 'ArrowDown') {
+          event.preventDefault();
+          openDropdown('selected');
+        } else if (event.key === 'ArrowUp') {
+          event.preventDefault();
+          openDropdown('last');
+        }
+      });
     }
+
+    if (!dropdownMenu) return;
+
+    dropdownMenu.addEventListener('keydown', (event) => {
+      const option = event.target.closest('.filter-dropdown-item');
+      if (!option) return;
+
+      if (event.key === 'Tab') {
+        closeDropdown();
+        return;
+      }
+
+      const target = getKeyboardTarget(getEnabled(dropdownItems), option, event.key,
+        { next: 'ArrowDown', previous: 'ArrowUp' }, false);
+      if (target) {
+        event.preventDefault();
+        focusRovingItem(dropdownItems, target);
+        return;
+      }
+
+      const isPrintable = event.key.length === 1 && event.key !== ' ' &&
+                          !event.ctrlKey && !event.metaKey && !event.altKey;
+      if (isPrintable) {
+        event.preventDefault();
+        handleTypeahead(event.key, option);
+      }
+    });
   }
 
   /**
-   * Toggles the mobile dropdown menu
+   * Checks whether a card matches a selection
+   * @param {HTMLElement} card - The project card element
+   * @param {string[]} filters - Selected category slugs (empty = all)
+   * @param {string} matchMode - 'any' or 'all'
+   * @returns {boolean}
    */
-  function toggleDropdown() {
-    if (dropdownContainer && dropdownContainer.classList.contains(OPEN_CLASS)) {
-      closeDropdown();
-    } else {
-      openDropdown();
-    }
+  function cardMatchesFilters(card, filters, matchMode) {
+    if (filters.length === 0) return true;
+
+    const categories = card.dataset.categories || '';
+    const categoryList = categories.split(' ').filter(Boolean);
+
+    return matchMode === MATCH_ALL
+      ? filters.every(filterValue => categoryList.includes(filterValue))
+      : filters.some(filterValue => categoryList.includes(filterValue));
   }
 
   /**
-   * Filters project cards based on the selected category
-   * @param {string} filterValue - The filter value to apply ('all' or category slug)
+   * Filters project cards based on the selected categories, industries and search text
+   * @param {Object} selection - { filters, matchMode, query, industries }
+   * @returns {number} Number of cards left visible
    */
-  function filterCards(filterValue) {
-    projectCards.forEach(card => {
-      const categories = card.dataset.categories || '';
-      const categoryList = categories.split(' ').filter(Boolean);
+  function filterCards(selection) {
+    const { filters, matchMode, query, industries } = selection;
+    const terms = getQueryTerms(query);
+    let visibleCount = 0;
 
-      // Determine if card should be shown
-      const shouldShow = filterValue === 'all' || categoryList.includes(filterValue);
+    projectCards.forEach(card => {
+      // Determine if card should be shown: disciplines AND industries AND search text
+      const shouldShow = cardMatchesFilters(card, filters, matchMode) &&
+                         cardMatchesIndustries(card, industries) &&
+                         cardMatchesQuery(card, terms);
 
       // Ensure filter-hidden never gets stuck
       card.classList.remove(HIDDEN_CLASS);
       card.style.display = shouldShow ? '' : 'none';
+      highlightCard(card, shouldShow ? terms : []);
+
+      if (shouldShow) visibleCount += 1;
     });
+
+    updateEmptyState(visibleCount, query);
+    saveProjectSequence(selection);
+    return visibleCount;
   }
 
-  function runFilterTransition(filterValue) {
-    const actionId = ++filterActionId;
-    document.body.classList.add('is-filtering');
+  /**
+   * Remembers the linked projects the visitor can currently see, in grid order,
+   * so prev/next on project pages pages through the same filtered set.
+   * Cleared for the unfiltered grid, where the generated links already match.
+   * @param {Object} selection - { filters, query, sort, industries }
+   */
+  function saveProjectSequence(selection) {
+    if (!projectGrid) return;
+    const isUnfiltered = selection.filters.length === 0 && selection.industries.length === 0 &&
+                         !selection.query && selection.sort === SORT_FEATURED;
+    try {
+      if (isUnfiltered) {
+        sessionStorage.removeItem(SEQUENCE_STORAGE_KEY);
+        return;
+      }
+      // DOM order = sorted order; unpublished cards (data-status) stay out even when previewed
+      const sequence = Array.from(projectGrid.querySelectorAll('a.project-card[data-slug]:not([data-status])'))
+        .filter(card => card.style.display !== 'none')
+        .map(card => ({ slug: card.dataset.slug, title: getCardTitle(card) }));
+      sessionStorage.setItem(SEQUENCE_STORAGE_KEY, JSON.stringify(sequence));
+    } catch (error) {
+      // Storage unavailable (privacy mode); pages keep their default links
+    }
+  }
 
-    // Apply DOM changes on the next frame (after scroll-to-top has painted)
-    requestAnimationFrame(() => {
-      if (actionId !== filterActionId) return;
+  /**
+   * Checks whether the FLIP reflow can run (motion allowed, Web Animations API available)
+   * @returns {boolean}
+   */
+  function canAnimateReflow() {
+    // js/media-policy.js also turns motion off with its "reduce motion & data" switch
+    const motionAllowed = window.MediaPolicy ? window.MediaPolicy.get().animate : !reducedMotionQuery.matches;
+    return motionAllowed && projectGrid !== null &&
+           typeof Element.prototype.animate === 'function';
+  }
+
+  /**
+   * Stops in-flight reflow animations and hides cards that were fading out,
+   * so an interrupted transition starts from a clean layout
+   */
+  function stopReflowAnimations() {
+    runningAnimations.forEach(animation => animation.cancel());
+    runningAnimations = [];
+
+    projectCards.forEach(card => {
+      if (!card.classList.contains(LEAVING_CLASS)) return;
+      card.classList.remove(LEAVING_CLASS);
+      card.style.display = 'none';
+      card.style.position = '';
+      card.style.top = '';
+      card.style.left = '';
+      card.style.width = '';
+      card.style.height = '';
+    });
+
+    projectCards.forEach(card => {
+      card.style.transition = '';
+    });
+  }
+
+  /**
+   * Keeps a card that is being filtered out in its old spot (taken out of the
+   * grid flow) so it can fade out while the remaining cards reflow
+   * @param {HTMLElement} card - The project card element
+   * @param {DOMRect} rect - The card's position before the change
+   * @param {DOMRect} gridRect - The grid's position
+   */
+  function pinLeavingCard(card, rect, gridRect) {
+    card.classList.add(LEAVING_CLASS);
+    card.style.display = '';
+    card.style.position = 'absolute';
+    card.style.top = (rect.top - gridRect.top) + 'px';
+    card.style.left = (rect.left - gridRect.left) + 'px';
+    card.style.width = rect.width + 'px';
+    card.style.height = rect.height + 'px';
+  }
+
+  /**
+   * Tracks a reflow animation so a later transition can cancel it
+   * @param {Animation} animation - A Web Animations API animation
+   * @returns {Promise} Resolves when the animation finishes or is cancelled
+   */
+  function trackAnimation(animation) {
+    runningAnimations.push(animation);
+    return animation.finished.catch(() => {});
+  }
 
-      filterCards(filterValue);
+  /**
+   * Re-sorts and re-filters the grid with a FLIP reflow: cards that stay glide
+   * from their old to their new position, removed cards fade/scale out and new
+   * ones fade in. Rapid clicks interrupt the running reflow (filterActionId) and
+   * continue from wherever the cards are on screen.
+   * @param {Object} selection - { filters, matchMode, query, sort, industries }
+   */
+  function runFilterTransition(selection) {
+    const actionId = ++filterActionId;
 
+    // Instant path: reduced motion or no Web Animations API
+    if (!canAnimateReflow()) {
+      stopReflowAnimations();
+      sortCards(selection.sort);
+      const visibleCount = filterCards(selection);
       if (window.AnimationSystem && typeof window.AnimationSystem.reinitialize === 'function') {
         window.AnimationSystem.reinitialize();
       }
+      announceResults(visibleCount);
+      return;
+    }
 
-      // Wait for AnimationSystem's internal RAFs, then show the grid
-      requestAnimationFrame(() => {
-        requestAnimationFrame(() => {
-          if (actionId !== filterActionId) return;
-          document.body.classList.remove('is-filtering');
-        });
-      });
+    // First: where every shown card is right now (mid-animation positions included)
+    const firstRects = new Map();
+    projectCards.forEach(card => {
+      if (card.style.display !== 'none' && !card.classList.contains(LEAVING_CLASS)) {
+        firstRects.set(card, card.getBoundingClientRect());
+      }
+    });
+
+    stopReflowAnimations();
+    document.body.classList.add(FILTERING_CLASS);
+
+    const gridRect = projectGrid.getBoundingClientRect();
+    sortCards(selection.sort);
+    const visibleCount = filterCards(selection);
+
+    // Removed cards stay on screen, out of flow, to fade out
+    firstRects.forEach((rect, card) => {
+      if (card.style.display === 'none') {
+        pinLeavingCard(card, rect, gridRect);
+      }
+    });
+
+    // Last + Invert + Play
+    const finished = [];
+    projectCards.forEach(card => {
+      if (card.classList.contains(LEAVING_CLASS)) {
+        finished.push(trackAnimation(card.animate([
+          { opacity: 1, transform: 'scale(1)' },
+          { opacity: 0, transform: 'scale(0.85)' }
+        ], { duration: ANIMATION_DURATION, easing: 'ease-in', fill: 'forwards' })));
+        return;
+      }
+
+      if (card.style.display === 'none') return;
+
+      const first = firstRects.get(card);
+      if (first) {
+        const last = card.getBoundingClientRect();
+        const dx = first.left - last.left;
+        const dy = first.top - last.top;
+        if (dx === 0 && dy === 0) return;
+        finished.push(trackAnimation(card.animate([
+          { transform: `translate(${dx}px, ${dy}px)` },
+          { transform: 'translate(0, 0)' }
+        ], { duration: FLIP_DURATION, easing: FLIP_EASING })));
+        return;
+      }
+
+      // Entering card below or above the viewport: leave it to the scroll reveal
+      const last = card.getBoundingClientRect();
+      if (last.top >= window.innerHeight || last.bottom <= 0) {
+        card.classList.remove('is-visible');
+        return;
+      }
+
+      // Entering card: reveal it without the scroll-reveal transition, then fade in
+      card.style.transition = 'none';
+      card.classList.add('is-visible');
+      finished.push(trackAnimation(card.animate([
+        { opacity: 0, transform: 'scale(0.92)' },
+        { opacity: 1, transform: 'scale(1)' }
+      ], { duration: FLIP_DURATION, easing: FLIP_EASING, delay: ANIMATION_DURATION / 3, fill: 'backwards' })));
+    });
+
+    Promise.all(finished).then(() => {
+      if (actionId !== filterActionId) return;
+      stopReflowAnimations();
+      document.body.classList.remove(FILTERING_CLASS);
+      // Stagger delays and scroll-reveal state, as reinitialize() does on the instant path
+      if (window.AnimationSystem && typeof window.AnimationSystem.refresh === 'function') {
+        window.AnimationSystem.refresh();
+      }
+      announceResults(visibleCount);
     });
   }
 
+  /**
+   * Reads the selection, search text and sort mode from the current URL
+   * @returns {{filters: string[], matchMode: string, query: string, sort: string}}
+   */
+  function readSelectionFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const selection = parseFilterHash(window.location.hash);
+    const sort = params.get(SORT_PARAM);
+    selection.query = (params.get(SEARCH_PARAM) || '').trim();
+    selection.sort = isKnownSort(sort) ? sort : SORT_FEATURED;
+    selection.industries = normalizeIndustries((params.get(INDUSTRY_PARAM) || '').split(','));
+    return selection;
+  }
+
+  /**
+   * Applies a new selection: UI states, URL, scroll position and grid
+   * @param {Object} changes - Any of { filters, matchMode, query, sort } to change
+   * @param {string} [historyMode='push'] - 'push' adds a history entry (Back steps through filters),
+   *   'replace' rewrites the current one (search typing), 'none' leaves the URL alone (popstate)
+   */
+  function applySelection(changes, historyMode = HISTORY_PUSH) {
+    const selection = Object.assign({}, currentSelection, changes);
+    currentSelection = selection;
+
+    // Update all UI states
+    updateFilterUI(selection);
+    updateSearchUI(selection.query);
+    updateSortUI(selection.sort);
+
+    // Save selection (hash), search (?q=) and sort (?sort=) to the URL for persistence on reload
+    const url = buildFilterUrl(selection);
+    if (historyMode === HISTORY_PUSH) {
+      history.pushState(null, '', url);
+    } else if (historyMode === HISTORY_REPLACE) {
+      history.replaceState(null, '', url);
+    }
+
+    if (window.scrollY > 0) {
+      window.scrollTo({ top: 0, behavior: 'auto' });
+    }
+
+    runFilterTransition(selection);
+  }
+
   /**
    * Handles filter selection
+   * "All" clears the selection; any other pill toggles its category on or off.
    * @param {string} filterValue - The selected filter value
    * @param {HTMLElement} clickedElement - The element that was clicked
    */
   function handleFilterSelect(filterValue, clickedElement) {
-    // If user clicks the currently active filter, just jump to top (no re-filter)
-    if (filterValue === currentFilterValue) {
-      if (clickedElement.classList.contains('filter-dropdown-item')) {
-        closeDropdown();
+    const isDropdownItem = clickedElement.classList.contains('filter-dropdown-item');
+
+    // If user clicks "All" while nothing is selected, just jump to top (no re-filter)
+    const currentFilters = currentSelection.filters;
+    if (filterValue === FILTER_ALL && currentFilters.length === 0) {
+      if (isDropdownItem) {
+        closeDropdown(true);
       }
       if (window.scrollY > 0) {
         window.scrollTo({ top: 0, behavior: 'auto' });
@@ -239,30 +1522,214 @@
       return;
     }
 
-    currentFilterValue = filterValue;
+    let nextFilters;
+    if (filterValue === FILTER_ALL) {
+      nextFilters = [];
+    } else if (currentFilters.includes(filterValue)) {
+      nextFilters = currentFilters.filter(value => value !== filterValue);
+    } else {
+      nextFilters = normalizeFilters(currentFilters.concat(filterValue));
+    }
+
+    // Keep the dropdown open while toggling categories; "All" is a final choice
+    if (isDropdownItem && filterValue === FILTER_ALL) {
+      closeDropdown(true);
+    }
 
-    // Update all UI states
-    updatePillStates(filterValue);
-    updateDropdownItemStates(filterValue);
-    updateDropdownLabel(filterValue);
+    applySelection({ filters: nextFilters });
+  }
 
-    // Close dropdown if it was a dropdown item that was clicked
-    if (clickedElement.classList.contains('filter-dropdown-item')) {
-      closeDropdown();
+  /**
+   * Handles switching between "any of" and "all of" matching
+   * @param {string} matchMode - 'any' or 'all'
+   */
+  function handleMatchModeSelect(matchMode) {
+    if (matchMode === currentSelection.matchMode) return;
+    applySelection({ matchMode });
+  }
+
+  /**
+   * Handles toggling an industry on or off (any of the selected industries matches)
+   * @param {string} slug - The industry slug
+   */
+  function handleIndustrySelect(slug) {
+    const industries = currentSelection.industries;
+    const next = industries.includes(slug)
+      ? industries.filter(value => value !== slug)
+      : normalizeIndustries(industries.concat(slug));
+    applySelection({ industries: next });
+  }
+
+  /**
+   * Attaches handlers for the industry panel (toggle, chips, clear, dismissal)
+   */
+  function attachIndustryHandlers() {
+    if (industryToggle && industryPanel) {
+      industryToggle.addEventListener('click', (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        const open = !isIndustryPanelOpen();
+        setIndustryPanelOpen(open);
+        if (open && industryButtons.length && event.detail === 0) {
+          industryButtons[0].focus();
+        }
+      });
+
+      // Close when clicking outside the panel
+      document.addEventListener('click', (event) => {
+        if (isIndustryPanelOpen() && !industryPanel.contains(event.target)) {
+          setIndustryPanelOpen(false);
+        }
+      });
+
+      // Escape closes and returns focus to the toggle
+      document.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape' && isIndustryPanelOpen()) {
+          setIndustryPanelOpen(false, true);
+        }
+      });
     }
 
-    // Save filter to URL hash for persistence on reload
-    if (filterValue === 'all') {
-      history.replaceState(null, '', window.location.pathname);
-    } else {
-      history.replaceState(null, '', '#' + filterValue);
+    industryButtons.forEach(button => {
+      button.addEventListener('click', (event) => {
+        event.preventDefault();
+        handleIndustrySelect(button.dataset.industry);
+      });
+    });
+
+    if (industryClearButton) {
+      industryClearButton.addEventListener('click', (event) => {
+        event.preventDefault();
+        if (currentSelection.industries.length) {
+          applySelection({ industries: [] });
+        }
+      });
     }
+  }
 
-    if (window.scrollY > 0) {
-      window.scrollTo({ top: 0, behavior: 'auto' });
+  /**
+   * Handles a change of sort mode (keeps categories and search)
+   * @param {string} sort - The sort mode
+   */
+  function handleSortSelect(sort) {
+    if (!isKnownSort(sort) || sort === currentSelection.sort) return;
+    applySelection({ sort });
+  }
+
+  /**
+   * Handles a change of search text
+   * @param {string} query - The search text
+   */
+  function handleSearchInput(query) {
+    const trimmed = query.trim();
+    if (trimmed === currentSelection.query) return;
+    // Typing shouldn't flood history with one entry per word
+    applySelection({ query: trimmed }, HISTORY_REPLACE);
+  }
+
+  /**
+   * Re-applies the selection stored in the URL when the user navigates
+   * with Back/Forward (or edits the hash by hand)
+   */
+  function handlePopState() {
+    // Logo clicks set resetFilter right before reloading; let the reload clear the URL
+    if (sessionStorage.getItem('resetFilter') === '1') return;
+
+    clearTimeout(searchDebounceTimer);
+    const selection = readSelectionFromUrl();
+    if (isSameSelection(selection, currentSelection)) return;
+
+    closeDropdown();
+    applySelection(selection, HISTORY_NONE);
+  }
+
+  /**
+   * Attaches the Back/Forward handler
+   */
+  function attachHistoryHandlers() {
+    window.addEventListener('popstate', handlePopState);
+  }
+
+  /**
+   * Relabels the filter bar and re-indexes the cards for search after
+   * js/i18n.js switches language in place (it has translated the card tags
+   * by the time this runs), then re-applies the selection to the new text
+   */
+  function handleLanguageChange() {
+    renderFilterCounts();
+    relabelIndustryButtons();
+    updateFilterUI(currentSelection);
+    buildSearchIndex();
+    filterCards(currentSelection);
+  }
+
+  /**
+   * Listens for language switches (when js/i18n.js is loaded)
+   */
+  function attachLanguageHandlers() {
+    if (window.I18n) {
+      document.addEventListener(window.I18n.CHANGE_EVENT, handleLanguageChange);
+    }
+  }
+
+  /**
+   * Attaches input handlers to the search field
+   */
+  function attachSearchHandlers() {
+    if (!searchInput) return;
+
+    searchInput.addEventListener('input', () => {
+      clearTimeout(searchDebounceTimer);
+      searchDebounceTimer = setTimeout(() => {
+        handleSearchInput(searchInput.value);
+      }, SEARCH_DEBOUNCE);
+      if (searchClearButton) {
+        searchClearButton.hidden = !searchInput.value;
+      }
+    });
+
+    // Enter applies immediately; Escape clears the field
+    searchInput.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        clearTimeout(searchDebounceTimer);
+        handleSearchInput(searchInput.value);
+      } else if (event.key === 'Escape' && searchInput.value) {
+        event.stopPropagation();
+        clearTimeout(searchDebounceTimer);
+        handleSearchInput('');
+      }
+    });
+
+    if (searchClearButton) {
+      searchClearButton.addEventListener('click', (event) => {
+        event.preventDefault();
+        clearTimeout(searchDebounceTimer);
+        handleSearchInput('');
+        searchInput.focus();
+      });
+    }
+
+    // Buttons inside the empty state reset the search and categories
+    if (emptyState) {
+      emptyState.addEventListener('click', (event) => {
+        const resetButton = event.target.closest('.project-grid-empty-reset');
+        if (!resetButton) return;
+        event.preventDefault();
+        clearTimeout(searchDebounceTimer);
+        applySelection({ filters: [], query: '', industries: [] });
+      });
     }
+  }
 
-    runFilterTransition(filterValue);
+  /**
+   * Attaches the change handler to the sort control
+   */
+  function attachSortHandlers() {
+    if (!sortSelect) return;
+    sortSelect.addEventListener('change', () => {
+      handleSortSelect(sortSelect.value);
+    });
   }
 
   /**
@@ -280,13 +1747,26 @@
       });
     });
 
-    // Mobile dropdown items
+    // Mobile dropdown items (categories and the industry group)
     dropdownItems.forEach(item => {
       item.addEventListener('click', (event) => {
         event.preventDefault();
         const filterValue = item.dataset.filter;
         if (filterValue) {
           handleFilterSelect(filterValue, item);
+        } else if (item.dataset.industry) {
+          handleIndustrySelect(item.dataset.industry);
+        }
+      });
+    });
+
+    // Any/all match toggle
+    matchModeButtons.forEach(button => {
+      button.addEventListener('click', (event) => {
+        event.preventDefault();
+        const matchMode = button.dataset.matchMode;
+        if (matchMode === MATCH_ANY || matchMode === MATCH_ALL) {
+          handleMatchModeSelect(matchMode);
         }
       });
     });
@@ -302,7 +1782,7 @@
     dropdownToggle.addEventListener('click', (event) => {
       event.preventDefault();
       event.stopPropagation();
-      toggleDropdown();
+      toggleDropdown(event);
     });
 
     // Close dropdown when clicking outside
@@ -315,12 +1795,10 @@
       }
     });
 
-    // Close dropdown on Escape key
+    // Close dropdown on Escape key and return focus to toggle button
     document.addEventListener('keydown', (event) => {
-      if (event.key === 'Escape' && dropdownContainer && dropdownContainer.classList.contains(OPEN_CLASS)) {
-        closeDropdown();
-        // Return focus to toggle button
-        dropdownToggle.focus();
+      if (event.key === 'Escape' && isDropdownOpen()) {
+        closeDropdown(true);
       }
     });
   }
@@ -342,32 +1820,52 @@
       return;
     }
 
+    projectCards.forEach((card, index) => originalOrder.set(card, index));
+    pruneSortOptions();
+    buildIndustryIndex();
+    renderIndustryFacet();
+
     // Attach all event handlers
+    setupDropdownAria();
     attachFilterHandlers();
     attachDropdownHandlers();
+    attachPillKeyboardHandlers();
+    attachDropdownKeyboardHandlers();
     attachPillDragScroll();
+    attachSearchHandlers();
+    attachSortHandlers();
+    attachIndustryHandlers();
+    attachHistoryHandlers();
+    attachLanguageHandlers();
+    buildSearchIndex();
+    renderFilterCounts();
 
-    // Check URL hash for saved filter
+    currentSelection = readSelectionFromUrl();
+
+    // A logo click (js/transitions.js) sets resetFilter: back to the full grid,
+    // clearing categories, search and industries but keeping the sort and other
+    // params (?preview). The filtered URL stays in history so Back returns to it.
     const resetFilter = sessionStorage.getItem('resetFilter') === '1';
     if (resetFilter) {
       sessionStorage.removeItem('resetFilter');
-      history.replaceState(null, '', window.location.pathname);
+      if (currentSelection.filters.length || currentSelection.query || currentSelection.industries.length) {
+        currentSelection.filters = [];
+        currentSelection.matchMode = MATCH_ANY;
+        currentSelection.query = '';
+        currentSelection.industries = [];
+        history.pushState(null, '', buildFilterUrl(currentSelection));
+      }
     }
 
-    const hash = resetFilter ? '' : window.location.hash.replace('#', '');
-    const savedFilter = hash && (filterPills.some(p => p.dataset.filter === hash) ||
-                                  dropdownItems.some(i => i.dataset.filter === hash))
-                        ? hash : 'all';
-
-    currentFilterValue = savedFilter;
-
     // Apply saved filter state
-    updatePillStates(savedFilter);
-    updateDropdownItemStates(savedFilter);
-    updateDropdownLabel(savedFilter);
+    updateFilterUI(currentSelection);
+    updateSearchUI(currentSelection.query);
+    updateSortUI(currentSelection.sort);
 
-    // Sync card display states to the saved filter (no animation on initial load)
-    filterCards(savedFilter);
+    // Sync card order and display states to the saved filter (no animation on initial load;
+    // cards are still hidden until AnimationSystem reveals them, so the reorder isn't visible)
+    sortCards(currentSelection.sort);
+    filterCards(currentSelection);
   }
 
   // Initialize when DOM is ready
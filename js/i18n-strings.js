@@ -0,0 +1,166 @@
+/**
+ * Translated Interface Strings
+ * Serbian (Latin script) copy for everything outside the case-study texts:
+ * navigation, the filter bar, cards, project-page chrome and the About and
+ * Contact pages. English is the pages' own markup, so it isn't repeated here.
+ *
+ * Elements opt in with data-i18n="key" (text), data-i18n-html="key" (markup
+ * from this file only) or data-i18n-attr="attribute:key …". Counts are
+ * Intl.PluralRules forms. Shared by js/i18n.js in the browser and
+ * scripts/build-pages.js, which bakes the strings into projects/<slug>.sr.html.
+ * @module i18n-strings
+ */
+(function() {
+  'use strict';
+
+  const STRINGS = {
+    sr: {
+      // Language switcher: shows the language it switches to
+      'lang.target': 'EN',
+      'lang.switch': 'Prebaci na engleski',
+
+      // Navigation, theme and the reduce motion & data switch
+      'nav.main': 'Glavna navigacija',
+      'nav.work': 'Radovi',
+      'nav.about': 'O meni',
+      'nav.contact': 'Kontakt',
+      'nav.openMenu': 'Otvori meni',
+      'nav.mobileMenu': 'Meni za navigaciju',
+      'theme.toLight': 'Uključi svetlu temu',
+      'theme.toDark': 'Uključi tamnu temu',
+      'media.reduce': 'Smanji animacije i potrošnju podataka',
+      'media.reduceShort': 'Manje animacija i podataka',
+
+      // Work page and filter bar
+      'work.title': 'Milorad Koturović — Radovi',
+      'work.description': 'Portfolio Milorada Koturovića — brending, veb, animacija, štampa i oglašavanje.',
+      'filter.searchLabel': 'Pretraga projekata',
+      'filter.searchPlaceholder': 'Pretraga',
+      'filter.clearSearch': 'Obriši pretragu',
+      'filter.categories': 'Filtriraj projekte po kategoriji',
+      'filter.industry': 'Delatnost',
+      'filter.clear': 'Poništi',
+      'filter.sortLabel': 'Sortiranje projekata',
+      'filter.match': 'Poklapanje izabranih kategorija',
+      'filter.matchAny': 'Bilo koja',
+      'filter.matchAll': 'Sve izabrane',
+      'filter.shown': 'Prikazano: {count}',
+      'sort.featured': 'Izdvojeno',
+      'sort.newest': 'Najnovije',
+      'sort.az': 'A–Ž',
+      'sort.industry': 'Po delatnosti',
+      'grid.label': 'Projekti',
+      'grid.empty': 'Nijedan projekat ne odgovara upitu',
+      'grid.showAll': 'Prikaži sve projekte',
+      'count.projects': { one: 'projekat', few: 'projekta', other: 'projekata' },
+
+      // Categories (category.<slug> from projects.json)
+      'category.all': 'Sve',
+      'category.web': 'Veb',
+      'category.branding': 'Brending',
+      'category.motion': 'Animacija',
+      'category.print': 'Štampa',
+      'category.advertising': 'Oglašavanje',
+
+      // Industries (industry.<slug>, slugged like slugifyIndustry() in js/filter.js)
+      'industry.agriculture': 'Poljoprivreda',
+      'industry.agtech': 'AgTech',
+      'industry.art': 'Likovna umetnost',
+      'industry.arts': 'Umetnost',
+      'industry.b2b-logistics': 'B2B logistika',
+      'industry.beverage-industry': 'Industrija pića',
+      'industry.business-intelligence': 'Poslovna analitika',
+      'industry.cannabis': 'Kanabis',
+      'industry.cannabis-industry': 'Industrija kanabisa',
+      'industry.construction': 'Građevinarstvo',
+      'industry.digital-art': 'Digitalna umetnost',
+      'industry.e-commerce': 'E-trgovina',
+      'industry.engineering': 'Inženjering',
+      'industry.entertainment': 'Zabava',
+      'industry.events': 'Događaji',
+      'industry.finance': 'Finansije',
+      'industry.healthcare': 'Zdravstvo',
+      'industry.high-end-design-support': 'Dizajnerska podrška za premijum brendove',
+      'industry.high-fashion': 'Visoka moda',
+      'industry.interior-design': 'Dizajn enterijera',
+      'industry.investment': 'Investicije',
+      'industry.luxury-real-estate': 'Luksuzne nekretnine',
+      'industry.marketplace': 'Onlajn tržište',
+      'industry.music': 'Muzika',
+      'industry.non-profit': 'Neprofitni sektor',
+      'industry.passive-income': 'Pasivni prihod',
+      'industry.philanthropy': 'Filantropija',
+      'industry.real-estate': 'Nekretnine',
+      'industry.retail': 'Maloprodaja',
+      'industry.social-impact': 'Društveni uticaj',
+      'industry.social-media': 'Društvene mreže',
+      'industry.travel-and-tourism': 'Putovanja i turizam',
+      'industry.tv-film': 'TV i film',
+      'industry.underground-culture': 'Andergraund kultura',
+
+      // Project cards
+      'card.viewProject': 'Pogledaj projekat',
+      'status.coming-soon': 'Uskoro',
+      'status.draft': 'Nacrt',
+
+      // Project pages
+      'project.related': 'Slični radovi',
+      'project.nav': 'Navigacija kroz projekte',
+      'project.prev': '← Prethodni projekat',
+      'project.next': 'Sledeći projekat →',
+      'lightbox.label': 'Pregled slika',
+      'lightbox.close': 'Zatvori',
+      'lightbox.prev': 'Prethodna slika',
+      'lightbox.next': 'Sledeća slika',
+
+      // About
+      'about.title': 'O meni — Milorad Koturović',
+      'about.description': 'O Miloradu Koturoviću — grafički dizajner iz Srbije, specijalizovan za brending, veb dizajn, editorijal dizajn i video montažu.',
+      'about.heading': 'Radoznao<br>i kreativan',
+      'about.label': 'O MENI',
+      'about.intro1': 'Ja sam grafički dizajner iz Požege, rođen 1994. godine. Kroz brending, editorijal dizajn, veb dizajn, moušn grafiku i video montažu pomažem klijentima da svoje priče ispričaju promišljenim i upečatljivim dizajnom.',
+      'about.intro2': 'Uživam u radu sa HTML-om, CSS-om i ponešto JavaScript-a na stvaranju zanimljivih digitalnih iskustava. Stalno učim o veb programiranju kako bih unapredio svoje dizajnerske veštine. Novi izazovi me pokreću — učim, razvijam se kao dizajner i u svaki projekat unosim sveže ideje.',
+      'about.education': 'OBRAZOVANJE',
+      'about.educationDate': 'Okt 2013 — Sep 2017',
+      'about.university': 'Univerzitet u Kragujevcu',
+      'about.degree': 'Osnovne studije, dizajn i primenjene umetnosti',
+      'about.experience': 'RADNO ISKUSTVO',
+      'about.vitaminDate': 'Avg 2023 — Maj 2024',
+      'about.vitamin': 'Vitamin Studio Creative, Beograd',
+      'about.freelanceDate': 'Jun 2021 — danas',
+      'about.freelance': 'Frilens',
+      'about.korakDate': 'Dec 2018 — Jun 2021',
+      'about.korak': 'Korak Studio, Beograd',
+      'about.software': 'SOFTVER/TEHNOLOGIJE',
+      'about.beginner': '(početni nivo)',
+      'about.skills': 'VEŠTINE',
+      'skill.branding': 'Brending i identitet',
+      'skill.packaging': 'Ambalaža',
+      'skill.web': 'Veb',
+      'skill.print': 'Štampa',
+      'skill.motion': 'Animacija',
+      'skill.advertising': 'Oglašavanje',
+      'skill.illustration': 'Ilustracija',
+      'about.ctaHeading': 'Želite da sarađujemo?',
+      'about.ctaText': 'Uvek sam otvoren za nove projekte i saradnje. Hajde da napravimo nešto sjajno.',
+      'about.ctaButton': 'Javite se',
+
+      // Contact
+      'contact.title': 'Kontakt — Milorad Koturović',
+      'contact.description': 'Javite se Miloradu Koturoviću za dizajnerske projekte, saradnje ili upite.',
+      'contact.heading': 'Hajde da razgovaramo',
+      'contact.subtitle': 'Imate projekat na umu ili samo želite da se javite? Rado ću vas čuti.',
+      'contact.projects': 'Za nove projekte i saradnje',
+      'contact.online': 'Pronađite me na mreži',
+      'contact.based': 'Lokacija',
+      'contact.country': 'Srbija',
+      'contact.remote': 'Dostupan za rad na daljinu širom sveta'
+    }
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = STRINGS;
+  } else {
+    window.I18nStrings = STRINGS;
+  }
+})();
@@ -0,0 +1,258 @@
+/**
+ * Language Module
+ * English/Serbian switching. The language comes from ?lang=, then the saved
+ * choice (localStorage, like theme.js), then — on a first visit — the page's
+ * own language if it's a translation, then navigator.languages.
+ *
+ * Pages with a built translation (projects/<slug>.sr.html, listed as
+ * <link rel="alternate" hreflang>) switch by loading it. Everywhere else the
+ * switcher swaps the strings marked with data-i18n* in place (see
+ * js/i18n-strings.js) and fires CHANGE_EVENT so modules that build their own
+ * text (filter.js, projects.js, theme.js) can relabel.
+ * @module i18n
+ */
+(function() {
+  'use strict';
+
+  // Configuration constants
+  const STORAGE_KEY = 'language';
+  const LANGUAGE_PARAM = 'lang';
+  const DEFAULT_LANGUAGE = 'en';
+  const LANGUAGES = ['en', 'sr'];
+  const CHANGE_EVENT = 'site:languagechange';
+  const STRINGS = window.I18nStrings || {};
+
+  // DOM element references
+  const htmlElement = document.documentElement;
+  let toggleButton = null;
+
+  // State tracking
+  const pageLanguage = htmlElement.getAttribute('lang') || DEFAULT_LANGUAGE; // what the markup is written in
+  let currentLanguage = pageLanguage;
+  let alternates = new Map(); // hreflang → URL of that translation of this page
+  const originals = new WeakMap(); // element → { text, html, attributes } as written in the markup
+
+  /**
+   * Checks whether a language is one the site is written in
+   * @param {string} language
+   * @returns {boolean}
+   */
+  function isSupported(language) {
+    return LANGUAGES.includes(language);
+  }
+
+  /**
+   * Gets the first supported language from the browser's preferences
+   * @returns {string|null}
+   */
+  function getBrowserLanguage() {
+    const preferred = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language];
+    const match = preferred
+      .map(tag => String(tag || '').toLowerCase().split('-')[0])
+      .find(isSupported);
+    return match || null;
+  }
+
+  /**
+   * Gets the language to show
+   * Priority: ?lang= > localStorage > a translated page's own language > browser > default (en)
+   * @returns {string}
+   */
+  function getInitialLanguage() {
+    const requested = new URLSearchParams(window.location.search).get(LANGUAGE_PARAM);
+    if (isSupported(requested)) {
+      localStorage.setItem(STORAGE_KEY, requested);
+      return requested;
+    }
+
+    const savedLanguage = localStorage.getItem(STORAGE_KEY);
+    if (isSupported(savedLanguage)) {
+      return savedLanguage;
+    }
+
+    // A shared link to a translation opens in that language
+    if (pageLanguage !== DEFAULT_LANGUAGE && isSupported(pageLanguage)) {
+      return pageLanguage;
+    }
+
+    return getBrowserLanguage() || DEFAULT_LANGUAGE;
+  }
+
+  /**
+   * Reads this page's built translations from <link rel="alternate" hreflang>.
+   * A ?lang= alternate is this same page translated in place, so it's skipped.
+   * The links are absolute production URLs (scripts/build-pages.js); only their
+   * path is kept, so a local or preview copy stays on its own host.
+   * @returns {Map<string, string>} Language → URL (the current page excluded)
+   */
+  function readAlternates() {
+    const links = Array.from(document.querySelectorAll('link[rel="alternate"][hreflang]'));
+    return new Map(links
+      .map(link => [link.getAttribute('hreflang'), new URL(link.href)])
+      .filter(([language, url]) => language !== pageLanguage && isSupported(language) &&
+        !url.searchParams.has(LANGUAGE_PARAM))
+      .map(([language, url]) => [language, url.pathname + url.search]));
+  }
+
+  /**
+   * Looks up a translated string
+   * @param {string} key - e.g. 'nav.work'
+   * @param {string} fallback - The English text (also used for untranslated keys)
+   * @param {Object<string, string>} [values] - Replacements for {name} placeholders
+   * @returns {string}
+   */
+  function translate(key, fallback, values) {
+    const dictionary = STRINGS[currentLanguage];
+    const value = dictionary && typeof dictionary[key] === 'string' ? dictionary[key] : fallback;
+    if (!values) return value;
+    return value.replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match));
+  }
+
+  /**
+   * Formats a count with the plural form the current language needs
+   * (Serbian: 1 projekat, 2 projekta, 5 projekata)
+   * @param {number} count
+   * @param {string} key - Dictionary key holding Intl.PluralRules forms
+   * @param {Object<string, string>} fallback - English forms, e.g. { one: 'project', other: 'projects' }
+   * @returns {string}
+   */
+  function formatCount(count, key, fallback) {
+    const dictionary = STRINGS[currentLanguage];
+    const forms = dictionary && dictionary[key] && typeof dictionary[key] === 'object' ? dictionary[key] : fallback;
+    const category = new Intl.PluralRules(currentLanguage).select(count);
+    return count + ' ' + (forms[category] || forms.other);
+  }
+
+  /**
+   * Remembers an element's markup-language text and attributes before the
+   * first swap, so switching back restores them
+   * @param {HTMLElement} element
+   * @param {string[]} attributeNames
+   * @returns {Object} { text, html, attributes }
+   */
+  function getOriginal(element, attributeNames) {
+    if (!originals.has(element)) {
+      const attributes = {};
+      attributeNames.forEach(name => {
+        attributes[name] = element.getAttribute(name);
+      });
+      originals.set(element, { text: element.textContent, html: element.innerHTML, attributes });
+    }
+    return originals.get(element);
+  }
+
+  /**
+   * Parses data-i18n-attr="aria-label:nav.main placeholder:filter.search"
+   * @param {HTMLElement} element
+   * @returns {{name: string, key: string}[]}
+   */
+  function getAttributeKeys(element) {
+    return (element.dataset.i18nAttr || '').split(/\s+/).filter(Boolean).map(pair => {
+      const separator = pair.indexOf(':');
+      return { name: pair.slice(0, separator), key: pair.slice(separator + 1) };
+    });
+  }
+
+  /**
+   * Applies the current language to every marked element under a root. Marked
+   * elements hold plain text (data-i18n) or markup from the dictionary only
+   * (data-i18n-html); children they had are replaced.
+   * @param {ParentNode} [root=document]
+   */
+  function applyStrings(root = document) {
+    const dictionary = currentLanguage === pageLanguage ? null : STRINGS[currentLanguage] || {};
+    const elements = Array.from(root.querySelectorAll('[data-i18n], [data-i18n-html], [data-i18n-attr]'));
+    if (root instanceof Element && root.matches('[data-i18n], [data-i18n-html], [data-i18n-attr]')) {
+      elements.unshift(root);
+    }
+
+    elements.forEach(element => {
+      const attributeKeys = getAttributeKeys(element);
+      const original = getOriginal(element, attributeKeys.map(attribute => attribute.name));
+      const lookup = key => (dictionary && typeof dictionary[key] === 'string' ? dictionary[key] : null);
+
+      if (element.dataset.i18n) {
+        const text = lookup(element.dataset.i18n);
+        element.textContent = text === null ? original.text : text;
+      } else if (element.dataset.i18nHtml) {
+        const html = lookup(element.dataset.i18nHtml);
+        element.innerHTML = html === null ? original.html : html;
+      }
+
+      attributeKeys.forEach(attribute => {
+        const value = lookup(attribute.key);
+        const restored = value === null ? original.attributes[attribute.name] : value;
+        if (restored === null) {
+          element.removeAttribute(attribute.name);
+        } else {
+          element.setAttribute(attribute.name, restored);
+        }
+      });
+    });
+  }
+
+  /**
+   * Shows a language: loads the page's translation when there is one,
+   * otherwise translates the page in place
+   * @param {string} language
+   * @param {boolean} navigate - Follow an alternate link (false on first load, which replaces instead)
+   */
+  function setLanguage(language, navigate) {
+    if (alternates.has(language)) {
+      const url = alternates.get(language) + window.location.hash;
+      if (navigate) {
+        window.location.href = url;
+      } else {
+        window.location.replace(url);
+      }
+      return;
+    }
+
+    currentLanguage = language;
+    htmlElement.setAttribute('lang', language);
+    applyStrings();
+    document.dispatchEvent(new CustomEvent(CHANGE_EVENT, { detail: { language } }));
+  }
+
+  /**
+   * Switches to the other language and saves the choice
+   */
+  function toggleLanguage() {
+    const nextLanguage = LANGUAGES.find(language => language !== currentLanguage) || DEFAULT_LANGUAGE;
+    localStorage.setItem(STORAGE_KEY, nextLanguage);
+    setLanguage(nextLanguage, true);
+  }
+
+  // Shared with the modules that build their own text (loaded after this one)
+  window.I18n = {
+    CHANGE_EVENT,
+    getLanguage: () => currentLanguage,
+    t: translate,
+    formatCount,
+    apply: applyStrings
+  };
+
+  /**
+   * Initializes the language system
+   */
+  function init() {
+    alternates = readAlternates();
+
+    const initialLanguage = getInitialLanguage();
+    if (initialLanguage !== currentLanguage) {
+      setLanguage(initialLanguage, false);
+    }
+
+    toggleButton = document.getElementById('lang-toggle');
+    if (toggleButton) {
+      toggleButton.addEventListener('click', toggleLanguage);
+    }
+  }
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
@@ -0,0 +1,619 @@
+/**
+ * Lightbox Module
+ * Opens the case-study gallery images (.project-gallery, .project-gallery-full)
+ * full-screen, captioned with their alt text, with previous/next across every
+ * gallery image on the page.
+ *
+ * Zoom with the wheel, a pinch, double-click/double-tap or +/−; drag to pan
+ * while zoomed, swipe to change image otherwise. ←/→ step through the images
+ * (project-nav.js leaves them alone while the lightbox is open), Escape closes
+ * and returns focus to the image that opened it. The open image is kept in
+ * the URL as ?image=N (1-based), so it can be linked to, and Back closes it.
+ * @module lightbox
+ */
+(function() {
+  'use strict';
+
+  // Configuration constants
+  const GALLERY_IMAGES = '.project-gallery img, .project-gallery-full img';
+  const IMAGE_PARAM = 'image';
+  const ACTIVE_CLASS = 'active';
+  const GESTURE_CLASS = 'is-gesturing'; // no transition while the image follows a pointer
+  const ZOOMED_CLASS = 'is-zoomed';
+  const MIN_SCALE = 1;
+  const MAX_SCALE = 4;
+  const DOUBLE_TAP_SCALE = 2.5;
+  const KEY_ZOOM_STEP = 1.5;
+  const WHEEL_ZOOM_SPEED = 0.002; // scale factor per wheel delta pixel
+  const SWIPE_DISTANCE = 50; // px - horizontal travel that changes image
+  const TAP_DISTANCE = 10; // px - more movement than this isn't a tap
+  const DOUBLE_TAP_DELAY = 300; // ms
+  const FULL_SIZES = '100vw'; // pick responsive candidates for the whole screen
+  const CLOSE_DURATION = 300; // ms - matches the .lightbox fade in css/project-page.css
+
+  // DOM element references
+  let images = [];
+  let triggers = [];
+  let lightbox = null;
+  let stage = null;
+  let lightboxPicture = null;
+  let lightboxImage = null;
+  let caption = null;
+  let counter = null;
+  let closeButton = null;
+  let prevButton = null;
+  let nextButton = null;
+
+  // State tracking
+  let currentIndex = -1; // -1 while closed
+  let returnFocus = null;
+  let scale = MIN_SCALE;
+  let offset = { x: 0, y: 0 };
+  const pointers = new Map(); // pointerId → { x, y } (stage-centred)
+  let gesture = null;
+  let lastTap = { time: 0, x: 0, y: 0 };
+  let closeTimer = null;
+
+  /**
+   * Looks up a translated string (js/i18n.js), falling back to the English
+   * @param {string} key
+   * @param {string} fallback
+   * @returns {string}
+   */
+  function translate(key, fallback) {
+    return window.I18n ? window.I18n.t(key, fallback) : fallback;
+  }
+
+  /**
+   * Creates a labelled icon button for the lightbox controls
+   * @param {string} className
+   * @param {string} path - SVG path data (24×24 viewBox)
+   * @returns {HTMLButtonElement}
+   */
+  function createButton(className, path) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'lightbox-button ' + className;
+    button.innerHTML = '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" aria-hidden="true">' +
+      '<path d="' + path + '" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/></svg>';
+    return button;
+  }
+
+  /**
+   * Builds the lightbox dialog once and appends it to the body
+   */
+  function createLightbox() {
+    lightbox = document.createElement('div');
+    lightbox.className = 'lightbox';
+    lightbox.id = 'lightbox';
+    lightbox.setAttribute('role', 'dialog');
+    lightbox.setAttribute('aria-modal', 'true');
+    lightbox.setAttribute('aria-hidden', 'true');
+
+    const figure = document.createElement('figure');
+    figure.className = 'lightbox-figure';
+
+    stage = document.createElement('div');
+    stage.className = 'lightbox-stage';
+
+    lightboxPicture = document.createElement('picture');
+    lightboxPicture.className = 'lightbox-picture';
+    lightboxImage = document.createElement('img');
+    lightboxImage.className = 'lightbox-image';
+    lightboxImage.alt = '';
+    lightboxImage.draggable = false;
+    lightboxPicture.appendChild(lightboxImage);
+    stage.appendChild(lightboxPicture);
+
+    caption = document.createElement('figcaption');
+    caption.className = 'lightbox-caption';
+    caption.id = 'lightbox-caption';
+    lightbox.setAttribute('aria-describedby', caption.id);
+
+    counter = document.createElement('span');
+    counter.className = 'lightbox-counter';
+    counter.setAttribute('aria-live', 'polite');
+
+    figure.append(stage, caption);
+
+    closeButton = createButton('lightbox-close', 'M6 6l12 12M18 6L6 18');
+    prevButton = createButton('lightbox-prev', 'M15 5l-7 7 7 7');
+    nextButton = createButton('lightbox-next', 'M9 5l7 7-7 7');
+
+    lightbox.append(figure, counter, prevButton, nextButton, closeButton);
+    document.body.appendChild(lightbox);
+    updateLabels();
+  }
+
+  /**
+   * Labels the dialog and its buttons in the current language
+   */
+  function updateLabels() {
+    lightbox.setAttribute('aria-label', translate('lightbox.label', 'Image viewer'));
+    closeButton.setAttribute('aria-label', translate('lightbox.close', 'Close'));
+    prevButton.setAttribute('aria-label', translate('lightbox.prev', 'Previous image'));
+    nextButton.setAttribute('aria-label', translate('lightbox.next', 'Next image'));
+  }
+
+  /**
+   * Gets the responsive <picture> an image belongs to (scripts/build-images.js)
+   * @param {HTMLImageElement} image
+   * @returns {HTMLPictureElement|null}
+   */
+  function getPicture(image) {
+    return image.parentElement && image.parentElement.tagName === 'PICTURE' ? image.parentElement : null;
+  }
+
+  /**
+   * Wraps each gallery image (with its <picture>, if any) in a button that
+   * opens it in the lightbox
+   */
+  function createTriggers() {
+    triggers = images.map((image, index) => {
+      const target = getPicture(image) || image;
+      const trigger = document.createElement('button');
+      trigger.type = 'button';
+      trigger.className = 'lightbox-trigger';
+      trigger.setAttribute('aria-haspopup', 'dialog');
+      trigger.setAttribute('aria-controls', 'lightbox');
+      target.parentNode.insertBefore(trigger, target);
+      trigger.appendChild(target);
+      trigger.addEventListener('click', () => open(index, false));
+      return trigger;
+    });
+  }
+
+  /**
+   * Reads the 0-based image index from ?image=N
+   * @returns {number|null} null when absent or out of range
+   */
+  function readIndex() {
+    const value = new URLSearchParams(window.location.search).get(IMAGE_PARAM);
+    const index = /^\d+$/.test(value || '') ? parseInt(value, 10) - 1 : -1;
+    return index >= 0 && index < images.length ? index : null;
+  }
+
+  /**
+   * Builds the current URL with ?image= set (or removed, for null)
+   * @param {number|null} index - 0-based
+   * @returns {string}
+   */
+  function getUrl(index) {
+    const url = new URL(window.location.href);
+    if (index === null) {
+      url.searchParams.delete(IMAGE_PARAM);
+    } else {
+      url.searchParams.set(IMAGE_PARAM, String(index + 1));
+    }
+    return url.pathname + url.search + url.hash;
+  }
+
+  /**
+   * Keeps the image within the stage: no empty edges while zoomed, centred otherwise
+   * @param {{x: number, y: number}} value
+   * @param {number} atScale
+   * @returns {{x: number, y: number}}
+   */
+  function clampOffset(value, atScale) {
+    const maxX = Math.max(0, (lightboxImage.offsetWidth * atScale - stage.clientWidth) / 2);
+    const maxY = Math.max(0, (lightboxImage.offsetHeight * atScale - stage.clientHeight) / 2);
+    return {
+      x: Math.min(maxX, Math.max(-maxX, value.x)),
+      y: Math.min(maxY, Math.max(-maxY, value.y))
+    };
+  }
+
+  /**
+   * Applies the current zoom and pan to the image
+   */
+  function applyTransform() {
+    lightboxImage.style.transform = 'translate(' + offset.x + 'px, ' + offset.y + 'px) scale(' + scale + ')';
+    lightbox.classList.toggle(ZOOMED_CLASS, scale > MIN_SCALE);
+  }
+
+  /**
+   * Zooms to a scale keeping one point of the stage still
+   * @param {number} nextScale
+   * @param {{x: number, y: number}} [point] - Stage-centred; default the centre
+   */
+  function zoomTo(nextScale, point = { x: 0, y: 0 }) {
+    const clamped = Math.min(MAX_SCALE, Math.max(MIN_SCALE, nextScale));
+    const ratio = clamped / scale;
+    scale = clamped;
+    offset = clampOffset({
+      x: point.x - (point.x - offset.x) * ratio,
+      y: point.y - (point.y - offset.y) * ratio
+    }, scale);
+    applyTransform();
+  }
+
+  /**
+   * Returns to the unzoomed, centred image
+   */
+  function resetZoom() {
+    scale = MIN_SCALE;
+    offset = { x: 0, y: 0 };
+    applyTransform();
+  }
+
+  /**
+   * Converts a pointer/wheel event to stage-centred coordinates
+   * @param {MouseEvent} event
+   * @returns {{x: number, y: number}}
+   */
+  function getStagePoint(event) {
+    const rect = stage.getBoundingClientRect();
+    return {
+      x: event.clientX - rect.left - rect.width / 2,
+      y: event.clientY - rect.top - rect.height / 2
+    };
+  }
+
+  /**
+   * Points the lightbox image at a gallery image, with its AVIF/WebP sources
+   * and srcset resized for the full screen
+   * @param {HTMLImageElement} source
+   */
+  function setImageSource(source) {
+    const picture = getPicture(source);
+    Array.from(lightboxPicture.querySelectorAll('source')).forEach(element => element.remove());
+    if (picture) {
+      Array.from(picture.querySelectorAll('source')).forEach(element => {
+        const copy = element.cloneNode(false);
+        copy.setAttribute('sizes', FULL_SIZES);
+        lightboxPicture.insertBefore(copy, lightboxImage);
+      });
+    }
+
+    if (source.srcset) {
+      lightboxImage.srcset = source.srcset;
+      lightboxImage.sizes = FULL_SIZES;
+    } else {
+      lightboxImage.removeAttribute('srcset');
+      lightboxImage.removeAttribute('sizes');
+    }
+    lightboxImage.src = source.src;
+  }
+
+  /**
+   * Shows an image in the open lightbox and updates the URL
+   * @param {number} index - 0-based, wraps around
+   * @param {boolean} fromHistory - The URL already says so (load, Back/Forward)
+   */
+  function showImage(index, fromHistory) {
+    currentIndex = (index + images.length) % images.length;
+    const source = images[currentIndex];
+
+    resetZoom();
+    setImageSource(source);
+    lightboxImage.alt = source.alt;
+    caption.textContent = source.alt;
+    caption.hidden = !source.alt;
+    counter.textContent = (currentIndex + 1) + ' / ' + images.length;
+
+    const single = images.length < 2;
+    prevButton.hidden = single;
+    nextButton.hidden = single;
+
+    // Warm the cache for the neighbours (the candidate their thumbnail uses)
+    [currentIndex - 1, currentIndex + 1].forEach(neighbour => {
+      const image = images[(neighbour + images.length) % images.length];
+      new Image().src = image.currentSrc || image.src;
+    });
+
+    if (!fromHistory) {
+      history.replaceState(history.state, '', getUrl(currentIndex));
+    }
+  }
+
+  /**
+   * Opens the lightbox on an image
+   * @param {number} index - 0-based
+   * @param {boolean} fromHistory - Opened from the URL rather than a click
+   */
+  function open(index, fromHistory) {
+    const wasOpen = currentIndex !== -1;
+    if (!wasOpen) {
+      returnFocus = triggers[index];
+      if (!fromHistory) {
+        // Its own history entry, so Back closes the lightbox
+        history.pushState({ lightbox: true }, '', getUrl(index));
+      }
+    }
+
+    showImage(index, true);
+    if (wasOpen) return;
+
+    clearTimeout(closeTimer);
+    if (window.NavSystem) {
+      window.NavSystem.suspend();
+    }
+    document.body.style.overflow = 'hidden';
+    lightbox.setAttribute('aria-hidden', 'false');
+    lightbox.classList.add(ACTIVE_CLASS);
+    closeButton.focus();
+  }
+
+  /**
+   * Closes the lightbox and returns focus to what opened it
+   * @param {boolean} fromHistory - The URL has already dropped ?image= (Back)
+   */
+  function close(fromHistory) {
+    if (currentIndex === -1) return;
+    currentIndex = -1;
+    pointers.clear();
+    gesture = null;
+
+    lightbox.classList.remove(ACTIVE_CLASS, GESTURE_CLASS);
+    lightbox.setAttribute('aria-hidden', 'true');
+    document.body.style.overflow = '';
+    if (window.NavSystem) {
+      window.NavSystem.resume();
+    }
+
+    if (!fromHistory) {
+      if (history.state && history.state.lightbox) {
+        history.back();
+      } else {
+        history.replaceState(history.state, '', getUrl(null));
+      }
+    }
+
+    if (returnFocus && typeof returnFocus.focus === 'function') {
+      returnFocus.focus({ preventScroll: true });
+    }
+    returnFocus = null;
+
+    // Drop the image once the fade is over so it isn't decoded in the background
+    closeTimer = setTimeout(() => {
+      Array.from(lightboxPicture.querySelectorAll('source')).forEach(element => element.remove());
+      lightboxImage.removeAttribute('srcset');
+      lightboxImage.removeAttribute('src');
+    }, CLOSE_DURATION);
+  }
+
+  /**
+   * Keyboard while open: Escape, ←/→, +/−/0, and Tab kept inside the dialog.
+   * Runs in the capture phase so the arrows never reach project-nav.js.
+   * @param {KeyboardEvent} event
+   */
+  function handleKeydown(event) {
+    if (currentIndex === -1 || event.altKey || event.ctrlKey || event.metaKey) return;
+
+    switch (event.key) {
+      case 'Escape':
+        close(false);
+        break;
+      case 'ArrowLeft':
+      case 'ArrowRight':
+        if (scale > MIN_SCALE) {
+          // Pan a zoomed image instead of leaving it
+          offset = clampOffset({ x: offset.x + (event.key === 'ArrowLeft' ? 1 : -1) * stage.clientWidth / 4, y: offset.y }, scale);
+          applyTransform();
+        } else {
+          showImage(currentIndex + (event.key === 'ArrowLeft' ? -1 : 1), false);
+        }
+        break;
+      case '+':
+      case '=':
+        zoomTo(scale * KEY_ZOOM_STEP);
+        break;
+      case '-':
+        zoomTo(scale / KEY_ZOOM_STEP);
+        break;
+      case '0':
+        resetZoom();
+        break;
+      case 'Tab': {
+        const focusable = [prevButton, nextButton, closeButton].filter(button => !button.hidden);
+        const position = focusable.indexOf(document.activeElement);
+        const next = event.shiftKey ? position - 1 : position + 1;
+        focusable[(next + focusable.length) % focusable.length].focus();
+        break;
+      }
+      default:
+        return;
+    }
+
+    event.preventDefault();
+    event.stopPropagation();
+  }
+
+  /**
+   * Wheel zooms around the cursor
+   * @param {WheelEvent} event
+   */
+  function handleWheel(event) {
+    event.preventDefault();
+    zoomTo(scale * Math.exp(-event.deltaY * WHEEL_ZOOM_SPEED), getStagePoint(event));
+  }
+
+  /**
+   * Starts a pan/swipe (one pointer) or a pinch (two)
+   * @param {PointerEvent} event
+   */
+  function handlePointerDown(event) {
+    if (event.pointerType === 'mouse' && event.button !== 0) return;
+    stage.setPointerCapture(event.pointerId);
+    pointers.set(event.pointerId, getStagePoint(event));
+    lightbox.classList.add(GESTURE_CLASS);
+
+    const points = Array.from(pointers.values());
+    if (points.length === 2) {
+      const centre = { x: (points[0].x + points[1].x) / 2, y: (points[0].y + points[1].y) / 2 };
+      gesture = {
+        type: 'pinch',
+        distance: Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y) || 1,
+        centre,
+        scale,
+        offset: Object.assign({}, offset)
+      };
+    } else if (points.length === 1) {
+      gesture = {
+        type: scale > MIN_SCALE ? 'pan' : 'swipe',
+        start: points[0],
+        offset: Object.assign({}, offset),
+        moved: false,
+        onImage: event.target === lightboxImage
+      };
+    }
+  }
+
+  /**
+   * Follows the active gesture
+   * @param {PointerEvent} event
+   */
+  function handlePointerMove(event) {
+    if (!gesture || !pointers.has(event.pointerId)) return;
+    pointers.set(event.pointerId, getStagePoint(event));
+    const points = Array.from(pointers.values());
+
+    if (gesture.type === 'pinch' && points.length === 2) {
+      const distance = Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y);
+      const centre = { x: (points[0].x + points[1].x) / 2, y: (points[0].y + points[1].y) / 2 };
+      const nextScale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, gesture.scale * distance / gesture.distance));
+      const ratio = nextScale / gesture.scale;
+      scale = nextScale;
+      // The point under the fingers' starting centre follows the centre as it moves
+      offset = clampOffset({
+        x: centre.x - (gesture.centre.x - gesture.offset.x) * ratio,
+        y: centre.y - (gesture.centre.y - gesture.offset.y) * ratio
+      }, scale);
+      applyTransform();
+      return;
+    }
+
+    if (gesture.type === 'pinch') return;
+
+    const dx = points[0].x - gesture.start.x;
+    const dy = points[0].y - gesture.start.y;
+    if (Math.hypot(dx, dy) > TAP_DISTANCE) {
+      gesture.moved = true;
+    }
+
+    if (gesture.type === 'pan') {
+      offset = clampOffset({ x: gesture.offset.x + dx, y: gesture.offset.y + dy }, scale);
+    } else {
+      // Unzoomed: the image follows the finger sideways until it's let go
+      offset = { x: dx, y: 0 };
+    }
+    applyTransform();
+  }
+
+  /**
+   * Ends a gesture: a swipe changes image, a tap on the backdrop closes, a
+   * double tap on the image zooms in or out
+   * @param {PointerEvent} event
+   */
+  function handlePointerUp(event) {
+    if (!pointers.has(event.pointerId)) return;
+    const point = pointers.get(event.pointerId);
+    pointers.delete(event.pointerId);
+    if (pointers.size) {
+      // Lifting one finger of a pinch: carry on panning with the other
+      const remaining = Array.from(pointers.values())[0];
+      gesture = { type: 'pan', start: remaining, offset: Object.assign({}, offset), moved: true, onImage: true };
+      return;
+    }
+
+    lightbox.classList.remove(GESTURE_CLASS);
+    const ended = gesture;
+    gesture = null;
+    if (!ended || event.type === 'pointercancel') {
+      if (scale === MIN_SCALE) resetZoom();
+      return;
+    }
+
+    if (ended.type === 'swipe') {
+      const dx = point.x - ended.start.x;
+      const dy = point.y - ended.start.y;
+      if (Math.abs(dx) > SWIPE_DISTANCE && Math.abs(dx) > Math.abs(dy) && images.length > 1) {
+        showImage(currentIndex + (dx < 0 ? 1 : -1), false);
+        return;
+      }
+      resetZoom();
+    }
+
+    if (ended.moved) return;
+
+    if (!ended.onImage) {
+      close(false);
+      return;
+    }
+
+    const now = Date.now();
+    if (now - lastTap.time < DOUBLE_TAP_DELAY && Math.hypot(point.x - lastTap.x, point.y - lastTap.y) < TAP_DISTANCE * 3) {
+      if (scale > MIN_SCALE) {
+        resetZoom();
+      } else {
+        zoomTo(DOUBLE_TAP_SCALE, point);
+      }
+      lastTap = { time: 0, x: 0, y: 0 };
+    } else {
+      lastTap = { time: now, x: point.x, y: point.y };
+    }
+  }
+
+  /**
+   * Syncs the lightbox with the URL after Back/Forward
+   */
+  function handlePopState() {
+    const index = readIndex();
+    if (index === null) {
+      close(true);
+    } else {
+      open(index, true);
+    }
+  }
+
+  /**
+   * Attaches the lightbox's event handlers
+   */
+  function attachHandlers() {
+    closeButton.addEventListener('click', () => close(false));
+    prevButton.addEventListener('click', () => showImage(currentIndex - 1, false));
+    nextButton.addEventListener('click', () => showImage(currentIndex + 1, false));
+
+    stage.addEventListener('wheel', handleWheel, { passive: false });
+    stage.addEventListener('pointerdown', handlePointerDown);
+    stage.addEventListener('pointermove', handlePointerMove);
+    stage.addEventListener('pointerup', handlePointerUp);
+    stage.addEventListener('pointercancel', handlePointerUp);
+
+    window.addEventListener('keydown', handleKeydown, true);
+    window.addEventListener('popstate', handlePopState);
+    window.addEventListener('resize', () => {
+      if (currentIndex !== -1) zoomTo(scale);
+    });
+
+    if (window.I18n) {
+      document.addEventListener(window.I18n.CHANGE_EVENT, updateLabels);
+    }
+  }
+
+  /**
+   * Initializes the lightbox
+   */
+  function init() {
+    images = Array.from(document.querySelectorAll(GALLERY_IMAGES));
+    if (!images.length) {
+      return;
+    }
+
+    createTriggers();
+    createLightbox();
+    attachHandlers();
+
+    const index = readIndex();
+    if (index !== null) {
+      open(index, true);
+    }
+  }
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
@@ -0,0 +1,170 @@
+/**
+ * Media Policy Module
+ * Decides how much card media this device gets, from the "reduce motion & data"
+ * switch (saved in localStorage, like the theme), navigator.connection
+ * (saveData, effectiveType), prefers-reduced-data and prefers-reduced-motion:
+ *   full    — hover images/frames preload, videos play, the centered card's video autoplays
+ *   lite    — slow connection: nothing preloads or autoplays; videos play on hover
+ *   posters — the switch, Save-Data or prefers-reduced-data: covers and video posters only
+ * Motion (flipbooks, parallax, the filter reflow) is off with the switch or
+ * prefers-reduced-motion.
+ *
+ * Sets data-media-policy on <html> for the CSS, data-reduce while the switch is
+ * on (the inline script in <head> sets it before first paint), and fires
+ * CHANGE_EVENT when the policy changes so js/card-hover.js can follow.
+ * @module media-policy
+ */
+(function() {
+  'use strict';
+
+  // Configuration constants
+  const STORAGE_KEY = 'reduce-motion-data';
+  const STORAGE_ON = 'on';
+  const CHANGE_EVENT = 'site:mediapolicychange';
+  const REDUCE_ATTRIBUTE = 'data-reduce';
+  const POLICY_ATTRIBUTE = 'data-media-policy';
+  const SLOW_CONNECTIONS = ['slow-2g', '2g', '3g']; // navigator.connection.effectiveType
+  const TOGGLE_SELECTOR = '[data-media-toggle]';
+
+  // DOM element references
+  const htmlElement = document.documentElement;
+  let toggleButtons = [];
+
+  // State tracking
+  const reducedDataQuery = window.matchMedia('(prefers-reduced-data: reduce)');
+  const reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+  const connection = navigator.connection || null;
+  let currentPolicy = null;
+
+  /**
+   * Checks whether the "reduce motion & data" switch is on
+   * @returns {boolean}
+   */
+  function isReduced() {
+    return localStorage.getItem(STORAGE_KEY) === STORAGE_ON;
+  }
+
+  /**
+   * Works out the policy from the switch and the device's signals
+   * @returns {{level: string, preloadImages: boolean, playVideo: boolean,
+   *   autoplayVideo: boolean, animate: boolean}}
+   */
+  function computePolicy() {
+    const reduced = isReduced();
+    const saveData = !!(connection && connection.saveData);
+    const slow = !!(connection && SLOW_CONNECTIONS.includes(connection.effectiveType));
+    const animate = !reduced && !reducedMotionQuery.matches;
+
+    let level = 'full';
+    if (reduced || saveData || reducedDataQuery.matches) {
+      level = 'posters';
+    } else if (slow) {
+      level = 'lite';
+    }
+
+    return {
+      level,
+      preloadImages: level === 'full',
+      playVideo: level !== 'posters',
+      autoplayVideo: level === 'full' && animate,
+      animate
+    };
+  }
+
+  /**
+   * Gets the current policy
+   * @returns {Object} See computePolicy()
+   */
+  function getPolicy() {
+    return currentPolicy;
+  }
+
+  /**
+   * Shows the switch's state on every toggle button
+   */
+  function updateButtons() {
+    const reduced = isReduced();
+    toggleButtons.forEach(button => {
+      button.setAttribute('aria-pressed', String(reduced));
+    });
+  }
+
+  /**
+   * Recomputes the policy, updates <html> and announces a change
+   */
+  function update() {
+    const previous = currentPolicy;
+    currentPolicy = computePolicy();
+    htmlElement.setAttribute(POLICY_ATTRIBUTE, currentPolicy.level);
+    htmlElement.toggleAttribute(REDUCE_ATTRIBUTE, isReduced());
+    updateButtons();
+
+    const changed = previous && Object.keys(currentPolicy).some(key => currentPolicy[key] !== previous[key]);
+    if (changed) {
+      document.dispatchEvent(new CustomEvent(CHANGE_EVENT, { detail: { policy: currentPolicy } }));
+    }
+  }
+
+  /**
+   * Turns the "reduce motion & data" switch on or off and saves it
+   * @param {boolean} reduced
+   */
+  function setReduced(reduced) {
+    if (reduced) {
+      localStorage.setItem(STORAGE_KEY, STORAGE_ON);
+    } else {
+      localStorage.removeItem(STORAGE_KEY);
+    }
+    update();
+  }
+
+  /**
+   * Listens for a media query change, with the older addListener fallback
+   * @param {MediaQueryList} query
+   */
+  function watchQuery(query) {
+    if (query.addEventListener) {
+      query.addEventListener('change', update);
+    } else if (query.addListener) {
+      query.addListener(update);
+    }
+  }
+
+  /**
+   * Initializes the toggle buttons and follows the device's signals
+   */
+  function init() {
+    toggleButtons = Array.from(document.querySelectorAll(TOGGLE_SELECTOR));
+    toggleButtons.forEach(button => {
+      button.addEventListener('click', () => setReduced(!isReduced()));
+    });
+    updateButtons();
+
+    watchQuery(reducedDataQuery);
+    watchQuery(reducedMotionQuery);
+    if (connection && connection.addEventListener) {
+      connection.addEventListener('change', update);
+    }
+    // The switch flipped in another tab
+    window.addEventListener('storage', (event) => {
+      if (event.key === STORAGE_KEY) update();
+    });
+  }
+
+  // Decide now, so modules that start before DOMContentLoaded see the policy
+  update();
+
+  window.MediaPolicy = {
+    CHANGE_EVENT,
+    get: getPolicy,
+    isReduced,
+    setReduced
+  };
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
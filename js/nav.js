@@ -22,6 +22,7 @@
   // State tracking
   let lastScrollY = 0;
   let ticking = false;
+  let suspended = false; // an overlay (the gallery lightbox) is covering the page
 
   /**
    * Cache DOM references
@@ -123,6 +124,12 @@
   function handleScroll() {
     const currentScrollY = window.scrollY;
 
+    if (suspended) {
+      lastScrollY = currentScrollY;
+      ticking = false;
+      return;
+    }
+
     // Add/remove scrolled class based on threshold
     if (navHeader) {
       if (currentScrollY > SCROLL_THRESHOLD) {
@@ -158,6 +165,33 @@
     }
   }
 
+  /**
+   * Hides the nav (and closes the mobile menu) while an overlay covers the
+   * page; scrolling doesn't bring it back until resume()
+   */
+  function suspend() {
+    suspended = true;
+    if (isMenuOpen()) {
+      closeMenu();
+    }
+    if (navHeader) {
+      navHeader.classList.add(HIDDEN_CLASS);
+      navHeader.setAttribute('aria-hidden', 'true');
+    }
+  }
+
+  /**
+   * Shows the nav again after suspend()
+   */
+  function resume() {
+    suspended = false;
+    lastScrollY = window.scrollY;
+    if (navHeader) {
+      navHeader.classList.remove(HIDDEN_CLASS);
+      navHeader.removeAttribute('aria-hidden');
+    }
+  }
+
   /**
    * Attaches event handlers for mobile menu
    */
@@ -225,6 +259,12 @@
     attachScrollHandler();
   }
 
+  // Shared with overlays that need the page to themselves (js/lightbox.js)
+  window.NavSystem = {
+    suspend,
+    resume
+  };
+
   // Initialize when DOM is ready
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', init);
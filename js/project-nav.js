@@ -0,0 +1,130 @@
+/**
+ * Project Navigation Module
+ * Keeps the Previous/Next links on project pages in step with the work grid:
+ * when the visitor arrived through a filter (e.g. #web), the links page through
+ * the projects that filter showed, in the same order, wrapping at the ends.
+ * ←/→ follow the links.
+ * @module project-nav
+ */
+(function() {
+  'use strict';
+
+  // Configuration constants
+  const SEQUENCE_STORAGE_KEY = 'projectSequence'; // written by js/filter.js
+  const PAGE_EXTENSION = '.html';
+  // Arrow keys belong to these while they have focus
+  const ARROW_KEY_OWNERS = 'input, textarea, select, [contenteditable], [role="slider"], [role="tablist"], [role="listbox"]';
+
+  // DOM element references
+  let projectNav = null;
+  let prevLink = null;
+  let nextLink = null;
+
+  /**
+   * Cache DOM references
+   */
+  function cacheElements() {
+    projectNav = document.querySelector('.project-nav[data-slug]');
+    if (!projectNav) return;
+    prevLink = projectNav.querySelector('a[rel="prev"]');
+    nextLink = projectNav.querySelector('a[rel="next"]');
+  }
+
+  /**
+   * Reads the filtered project order saved by the grid
+   * @returns {{slug: string, title: string}[]|null} Null when there is none
+   */
+  function readSequence() {
+    try {
+      const sequence = JSON.parse(sessionStorage.getItem(SEQUENCE_STORAGE_KEY));
+      return Array.isArray(sequence) ? sequence : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Picks the page to open for a project: on a translated page (e.g.
+   * nemirni.sr.html) its translation when one was built, listed in the nav's
+   * data-translated by scripts/build-pages.js, otherwise the English page
+   * @param {string} slug
+   * @returns {string} File name
+   */
+  function getPageFile(slug) {
+    const translated = (projectNav.dataset.translated || '').split(' ');
+    return translated.includes(slug)
+      ? slug + '.' + document.documentElement.lang + PAGE_EXTENSION
+      : slug + PAGE_EXTENSION;
+  }
+
+  /**
+   * Points a nav link at another project
+   * @param {HTMLAnchorElement} link - The prev or next link
+   * @param {{slug: string, title: string}} project - Target project
+   */
+  function setLinkTarget(link, project) {
+    link.setAttribute('href', getPageFile(project.slug));
+    const title = link.querySelector('.project-nav-title');
+    if (title && project.title) {
+      title.textContent = project.title;
+    }
+  }
+
+  /**
+   * Swaps the generated (unfiltered) links for neighbours in the filtered
+   * order. Pages reached some other way, or the only match of a filter,
+   * keep the generated links.
+   */
+  function applySequence() {
+    const sequence = readSequence();
+    if (!sequence || sequence.length < 2) return;
+
+    const index = sequence.findIndex(project => project.slug === projectNav.dataset.slug);
+    if (index === -1) return;
+
+    if (prevLink) {
+      setLinkTarget(prevLink, sequence[(index - 1 + sequence.length) % sequence.length]);
+    }
+    if (nextLink) {
+      setLinkTarget(nextLink, sequence[(index + 1) % sequence.length]);
+    }
+  }
+
+  /**
+   * Follows the prev/next link on ←/→, unless the key is meant for something else
+   * @param {KeyboardEvent} event
+   */
+  function handleKeydown(event) {
+    if (event.defaultPrevented || event.altKey || event.ctrlKey || event.metaKey || event.shiftKey) return;
+    if (event.key !== 'ArrowLeft' && event.key !== 'ArrowRight') return;
+    if (event.target instanceof Element && event.target.closest(ARROW_KEY_OWNERS)) return;
+
+    const link = event.key === 'ArrowLeft' ? prevLink : nextLink;
+    if (!link) return;
+
+    event.preventDefault();
+    // A click goes through js/transitions.js like any other internal link
+    link.click();
+  }
+
+  /**
+   * Initialize
+   */
+  function init() {
+    cacheElements();
+
+    if (!projectNav) {
+      return;
+    }
+
+    applySequence();
+    document.addEventListener('keydown', handleKeydown);
+  }
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
@@ -0,0 +1,413 @@
+/**
+ * Project Grid Module
+ * Renders the work grid, filter pills and dropdown items from projects.json, then
+ * loads the modules that enhance the cards (filter, animations, card hover).
+ * Without JavaScript (or if the manifest can't be fetched) the <noscript> list in
+ * the grid is shown instead.
+ * @module projects
+ */
+(function() {
+  'use strict';
+
+  // Configuration constants
+  const MANIFEST_URL = 'projects.json';
+  const IMAGES_URL = 'images.json'; // responsive variants and placeholders, written by scripts/build-images.js
+  const PROJECT_PAGE_DIR = 'projects/';
+  const STATUS_PUBLISHED = 'published';
+  const STATUS_COMING_SOON = 'coming-soon'; // teaser card: no link, no page
+  const STATUS_LABELS = { 'coming-soon': 'Coming soon', draft: 'Draft' };
+  // ?preview shows drafts (and links pages built for them), on a local server only
+  const PREVIEW_PARAM = 'preview';
+  const PREVIEW_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+  const IMAGE_SIZE = 800; // px - cover/hover source size, reserves the square before load
+  // Enhancement modules, executed in this order once the cards exist
+  const DEPENDENT_SCRIPTS = ['js/filter.js', 'js/animations.js', 'js/card-hover.js'];
+
+  // Start fetching while the rest of the page parses
+  const manifestRequest = fetch(MANIFEST_URL).then(response => {
+    if (!response.ok) {
+      throw new Error('Failed to load ' + MANIFEST_URL + ' (' + response.status + ')');
+    }
+    return response.json();
+  });
+  // Optional: without it the cards use their original images
+  const imagesRequest = fetch(IMAGES_URL)
+    .then(response => (response.ok ? response.json() : {}))
+    .catch(() => ({}));
+
+  // DOM element references
+  let projectGrid = null;
+  let filterBar = null;
+  let filterPillsContainer = null;
+  let dropdownMenu = null;
+
+  // State tracking
+  let imageIndex = {}; // images.json: original path → { width, height, widths, formats, placeholder }
+
+  /**
+   * Cache DOM references
+   */
+  function cacheElements() {
+    projectGrid = document.getElementById('project-grid');
+    filterBar = document.getElementById('filter-bar');
+    filterPillsContainer = document.querySelector('.filter-pills');
+    dropdownMenu = document.querySelector('.filter-dropdown-menu');
+  }
+
+  /**
+   * Creates an element with an optional class and text content
+   * @param {string} tagName - Element tag
+   * @param {string} [className] - Class attribute
+   * @param {string} [text] - Text content
+   * @returns {HTMLElement}
+   */
+  function createElement(tagName, className, text) {
+    const element = document.createElement(tagName);
+    if (className) element.className = className;
+    if (text) element.textContent = text;
+    return element;
+  }
+
+  /**
+   * Whether drafts should be shown (?preview, on a local server)
+   * @returns {boolean}
+   */
+  function isPreview() {
+    return new URLSearchParams(window.location.search).has(PREVIEW_PARAM) &&
+           PREVIEW_HOSTS.includes(window.location.hostname);
+  }
+
+  /**
+   * Whether a project gets a card: published and coming-soon always, drafts in preview
+   * @param {Object} project - Manifest entry
+   * @param {boolean} preview - Drafts are being previewed
+   * @returns {boolean}
+   */
+  function isListed(project, preview) {
+    return project.status === STATUS_PUBLISHED || project.status === STATUS_COMING_SOON || preview;
+  }
+
+  /**
+   * Whether a card shows up under category/industry filters. Unpublished cards
+   * only appear on the unfiltered grid unless their entry sets showUnderFilters.
+   * @param {Object} project - Manifest entry
+   * @param {boolean} preview - Drafts are being previewed
+   * @returns {boolean}
+   */
+  function isFilterable(project, preview) {
+    return project.status === STATUS_PUBLISHED || preview || project.showUnderFilters === true;
+  }
+
+  /**
+   * Returns the tags shown in a card's tag pills (its categories)
+   * @param {Object} project - Manifest entry
+   * @param {Map<string, string>} categoryLabels - Category slug → label
+   * @returns {{key: string, label: string}[]} Label plus its js/i18n-strings.js key
+   */
+  function getTags(project, categoryLabels) {
+    return (project.categories || []).map(slug => ({ key: 'category.' + slug, label: categoryLabels.get(slug) || slug }));
+  }
+
+  /**
+   * Creates a tag element that js/i18n.js can translate
+   * @param {string} className - 'tag' or 'card-pill-tag'
+   * @param {{key: string, label: string}} tag
+   * @returns {HTMLElement}
+   */
+  function createTag(className, tag) {
+    const element = createElement('span', className, tag.label);
+    element.dataset.i18n = tag.key;
+    return element;
+  }
+
+  /**
+   * Builds the square media block: a looping video (poster = cover) or a
+   * cover/hover image pair, plus any flipbook frames stacked above them, over
+   * the cover's blur-up placeholder when it has one
+   * @param {Object} project - Manifest entry
+   * @returns {HTMLElement}
+   */
+  function createCardMedia(project) {
+    const media = project.media;
+    const wrapper = createElement('div', 'card-image-wrapper');
+    const frame = createElement('div', 'card-image aspect-square');
+
+    if (media.video) {
+      const video = createElement('video', 'card-video');
+      video.setAttribute('poster', media.cover);
+      video.muted = true;
+      video.setAttribute('muted', '');
+      video.setAttribute('playsinline', '');
+      video.setAttribute('loop', '');
+      video.setAttribute('preload', 'metadata');
+      const source = document.createElement('source');
+      source.src = media.video;
+      source.type = 'video/mp4';
+      video.appendChild(source);
+      frame.appendChild(video);
+    } else {
+      frame.appendChild(createCardImage('card-cover', media.cover, media.alt || project.title));
+      if (media.hover) {
+        frame.appendChild(createCardImage('card-hover', media.hover, project.title + ' detail'));
+      }
+    }
+
+    if (media.frames && media.frames.length) {
+      const frames = createElement('div', 'card-frames');
+      frames.setAttribute('aria-hidden', 'true');
+      media.frames.forEach(src => frames.appendChild(createCardImage('card-frame', src, '')));
+      frame.appendChild(frames);
+    }
+
+    const responsive = window.ResponsiveImages;
+    const placeholder = responsive ? responsive.getPlaceholderStyle(imageIndex[media.cover]) : '';
+    if (placeholder) {
+      frame.setAttribute('data-placeholder', '');
+      frame.style.cssText = placeholder;
+      if (window.BlurUp) window.BlurUp.watchAll(frame);
+    }
+
+    wrapper.appendChild(frame);
+    return wrapper;
+  }
+
+  /**
+   * Creates a lazy-loaded cover or hover image: a <picture> with AVIF/WebP
+   * sources and a srcset when it has responsive variants, else a plain <img>
+   * @param {string} role - 'card-cover', 'card-hover' or 'card-frame'
+   * @param {string} src - Image path
+   * @param {string} alt - Alternative text
+   * @returns {HTMLElement}
+   */
+  function createCardImage(role, src, alt) {
+    const image = createElement('img', role + ' img-cover');
+    const responsive = window.ResponsiveImages;
+    const candidates = responsive ? responsive.getCandidates(src, imageIndex[src]) : null;
+    image.alt = alt;
+    image.loading = 'lazy';
+    image.width = IMAGE_SIZE;
+    image.height = IMAGE_SIZE;
+    if (!candidates) {
+      image.src = src;
+      return image;
+    }
+
+    const picture = document.createElement('picture');
+    candidates.sources.forEach(candidate => {
+      const source = document.createElement('source');
+      source.type = candidate.type;
+      source.srcset = candidate.srcset;
+      source.sizes = responsive.SIZES.card;
+      picture.appendChild(source);
+    });
+    // Inside the <picture>, sizes and srcset before src, so the browser picks
+    // among the candidates rather than starting on the original
+    picture.appendChild(image);
+    image.sizes = responsive.SIZES.card;
+    image.srcset = candidates.srcset;
+    image.src = src;
+    return picture;
+  }
+
+  /**
+   * Builds the mobile list view: title, tags, description and "View project" link
+   * @param {Object} project - Manifest entry
+   * @param {Object[]} tags - From getTags()
+   * @param {boolean} isLinked - Whether the card links to a project page
+   * @returns {HTMLElement}
+   */
+  function createCardInfo(project, tags, isLinked) {
+    const info = createElement('div', 'card-info hide-desktop');
+    info.appendChild(createElement('h3', 'card-title', project.title));
+
+    const tagList = createElement('div', 'card-tags');
+    tags.forEach(tag => tagList.appendChild(createTag('tag', tag)));
+    info.appendChild(tagList);
+
+    info.appendChild(createElement('p', 'card-description', project.description));
+
+    if (isLinked) {
+      const link = createElement('span', 'card-link');
+      const linkText = createElement('span', '', 'View project');
+      linkText.dataset.i18n = 'card.viewProject';
+      link.appendChild(linkText);
+      link.insertAdjacentHTML('beforeend',
+        '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">' +
+        '<line x1="5" y1="12" x2="19" y2="12"></line><polyline points="12 5 19 12 12 19"></polyline></svg>');
+      info.appendChild(link);
+    }
+    return info;
+  }
+
+  /**
+   * Builds one project card with the same markup and data attributes the
+   * filter, animation and hover modules read. Unpublished cards carry
+   * data-status (card-hover.js skips their video, filter.js leaves them out
+   * of prev/next) and a status badge.
+   * @param {Object} project - Manifest entry
+   * @param {number} index - Position in the manifest (= featured rank - 1)
+   * @param {Map<string, string>} categoryLabels - Category slug → label
+   * @param {boolean} preview - Drafts are being previewed
+   * @returns {HTMLElement}
+   */
+  function createCard(project, index, categoryLabels, preview) {
+    const isPublished = project.status === STATUS_PUBLISHED;
+    // Pages are only built for drafts with a `page` block (see scripts/build-pages.js)
+    const isLinked = isPublished || (preview && project.status !== STATUS_COMING_SOON && !!project.page);
+    const isFilterableCard = isFilterable(project, preview);
+    const card = createElement(isLinked ? 'a' : 'div', 'project-card anim-fade-up');
+    const tags = getTags(project, categoryLabels);
+
+    if (isLinked) {
+      card.href = PROJECT_PAGE_DIR + project.slug + '.html';
+    }
+    if (project.media.video) {
+      card.classList.add('has-video');
+    }
+    if (!isPublished) {
+      card.classList.add('is-' + project.status);
+      card.dataset.status = project.status;
+    }
+    card.dataset.slug = project.slug;
+    card.dataset.categories = isFilterableCard ? (project.categories || []).join(' ') : '';
+    card.dataset.featured = String(index + 1);
+    card.dataset.year = project.year ? String(project.year) : '';
+    card.dataset.industry = project.industry || '';
+    card.dataset.industries = isFilterableCard ? (project.industries || []).join(', ') : '';
+    if (project.media.mode) {
+      card.dataset.media = project.media.mode;
+    }
+    if (project.media.frameRate) {
+      card.dataset.frameRate = String(project.media.frameRate);
+    }
+    ['parallax', 'tilt'].forEach(key => {
+      if (typeof project.media[key] === 'number') {
+        card.dataset[key] = String(project.media[key]);
+      }
+    });
+
+    card.appendChild(createCardMedia(project));
+
+    if (!isPublished) {
+      const status = createElement('span', 'card-status', STATUS_LABELS[project.status] || project.status);
+      status.dataset.i18n = 'status.' + project.status;
+      card.appendChild(status);
+    }
+
+    const titlePill = createElement('div', 'card-pill card-pill-top');
+    titlePill.appendChild(createElement('span', 'card-pill-text', project.title));
+    card.appendChild(titlePill);
+
+    if (tags.length) {
+      const tagPill = createElement('div', 'card-pill card-pill-bottom');
+      tags.forEach(tag => tagPill.appendChild(createTag('card-pill-tag', tag)));
+      card.appendChild(tagPill);
+    }
+
+    card.appendChild(createCardInfo(project, tags, isLinked));
+    return card;
+  }
+
+  /**
+   * Replaces the grid contents (the <noscript> fallback) with rendered cards
+   * @param {Object[]} projects - Manifest entries in featured order
+   * @param {Map<string, string>} categoryLabels - Category slug → label
+   */
+  function renderGrid(projects, categoryLabels) {
+    const preview = isPreview();
+    const fragment = document.createDocumentFragment();
+    projects.forEach((project, index) => {
+      if (!isListed(project, preview)) return;
+      fragment.appendChild(createCard(project, index, categoryLabels, preview));
+    });
+    projectGrid.textContent = '';
+    projectGrid.appendChild(fragment);
+  }
+
+  /**
+   * Appends a pill and (when the mobile dropdown exists) a dropdown item per
+   * category, after the static "All" entries
+   * @param {Object[]} categories - [{ slug, label }]
+   */
+  function renderFilters(categories) {
+    categories.forEach(category => {
+      if (filterPillsContainer) {
+        const pill = createElement('button', 'filter-pill', category.label);
+        pill.type = 'button';
+        pill.dataset.filter = category.slug;
+        pill.setAttribute('role', 'tab');
+        pill.setAttribute('aria-selected', 'false');
+        pill.setAttribute('aria-controls', 'project-grid');
+        pill.setAttribute('tabindex', '-1');
+        filterPillsContainer.appendChild(pill);
+      }
+      if (dropdownMenu) {
+        const item = createElement('button', 'filter-dropdown-item', category.label);
+        item.type = 'button';
+        item.dataset.filter = category.slug;
+        dropdownMenu.appendChild(item);
+      }
+    });
+  }
+
+  /**
+   * Shows the <noscript> project list when the manifest couldn't be rendered.
+   * With scripting on, <noscript> content is inert text, so it's parsed here.
+   */
+  function renderFallback() {
+    const fallback = projectGrid.querySelector('noscript');
+    if (fallback) {
+      projectGrid.innerHTML = fallback.textContent;
+    }
+    if (filterBar) {
+      filterBar.hidden = true;
+    }
+  }
+
+  /**
+   * Loads the enhancement modules in order. They initialize immediately because
+   * the document has finished parsing by the time they run.
+   */
+  function loadDependentScripts() {
+    DEPENDENT_SCRIPTS.forEach(src => {
+      const script = document.createElement('script');
+      script.src = src;
+      script.async = false; // preserve execution order
+      document.body.appendChild(script);
+    });
+  }
+
+  /**
+   * Initialize: render from the manifest, then hand the cards to the other modules
+   */
+  function init() {
+    cacheElements();
+
+    if (!projectGrid) {
+      return;
+    }
+
+    Promise.all([manifestRequest, imagesRequest])
+      .then(([manifest, images]) => {
+        imageIndex = images;
+        const categories = manifest.categories || [];
+        const categoryLabels = new Map(categories.map(category => [category.slug, category.label]));
+        renderFilters(categories);
+        renderGrid(manifest.projects || [], categoryLabels);
+        // Cards are built in English; translate them if another language is showing
+        if (window.I18n) window.I18n.apply(projectGrid);
+      })
+      .catch(error => {
+        console.warn('Project grid fell back to the static list:', error);
+        renderFallback();
+      })
+      .then(loadDependentScripts);
+  }
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
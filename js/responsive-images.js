@@ -0,0 +1,102 @@
+/**
+ * Responsive Image Candidates
+ * Turns an image path and its images.json entry (written by
+ * scripts/build-images.js) into <picture> sources: an AVIF and a WebP srcset,
+ * plus a srcset in the original format for the <img> itself. Images without
+ * variants in their entry keep their plain src. An entry's placeholder becomes
+ * the inline background its container shows while the image loads.
+ *
+ * Shared by js/projects.js in the browser and scripts/build-pages.js, so the
+ * grid and the generated pages ask for the same files.
+ * @module responsive-images
+ */
+(function() {
+  'use strict';
+
+  // Configuration constants
+  const VARIANT_DIR = 'responsive'; // next to the original: <folder>/responsive/<name>-<width>.<format>
+  const TYPES = { avif: 'image/avif', webp: 'image/webp', jpg: 'image/jpeg', png: 'image/png' };
+  // `sizes` for each place an image is shown (grid columns in css/layout.css,
+  // gallery in css/project-page.css); the container is full width throughout
+  const SIZES = {
+    card: '(max-width: 767px) 100vw, (max-width: 1199px) 50vw, 33vw',
+    hero: '100vw',
+    gallery: '(max-width: 767px) 100vw, 50vw',
+    galleryFull: '100vw'
+  };
+  // The thumbnail is drawn PLACEHOLDER_BOX units wide, blurred inside an SVG so
+  // the blur stays within the container and its edges stay opaque
+  const PLACEHOLDER_BOX = 100;
+  const PLACEHOLDER_BLUR = 4;
+
+  /**
+   * Returns where a variant of an image lives
+   * @param {string} src - Original, e.g. 'assets/images/projects/alluel/cover.jpg'
+   * @param {number} width
+   * @param {string} format - 'avif', 'webp', 'jpg' or 'png'
+   * @returns {string} e.g. 'assets/images/projects/alluel/responsive/cover-800.webp'
+   */
+  function getVariantPath(src, width, format) {
+    const slash = src.lastIndexOf('/');
+    const name = src.slice(slash + 1).replace(/\.[^.]+$/, '');
+    return src.slice(0, slash + 1) + VARIANT_DIR + '/' + name + '-' + width + '.' + format;
+  }
+
+  /**
+   * Builds the srcset/type pairs for an image
+   * @param {string} src - Original image path
+   * @param {Object} [entry] - Its images.json entry: { width, height, widths, formats }
+   * @param {string} [prefix] - Prepended to every URL (e.g. '../' on project pages)
+   * @returns {{sources: {type: string, srcset: string}[], srcset: string}|null} The
+   *   last format (the original's) is the <img> srcset; null without an entry
+   */
+  function getCandidates(src, entry, prefix = '') {
+    if (!entry || !entry.widths || !entry.widths.length || !entry.formats || !entry.formats.length) {
+      return null;
+    }
+
+    const srcset = format => entry.widths
+      .map(width => prefix + getVariantPath(src, width, format) + ' ' + width + 'w')
+      .join(', ');
+    const formats = entry.formats.slice(0, -1);
+    return {
+      sources: formats.map(format => ({ type: TYPES[format] || 'image/' + format, srcset: srcset(format) })),
+      srcset: srcset(entry.formats[entry.formats.length - 1])
+    };
+  }
+
+  /**
+   * Builds the inline style that shows an image's placeholder: its colour,
+   * then its thumbnail blurred up to the container's size
+   * @param {Object} [entry] - Its images.json entry: { width, height, placeholder: { color, src } }
+   * @returns {string} CSS declarations, or '' without a placeholder
+   */
+  function getPlaceholderStyle(entry) {
+    const placeholder = entry && entry.placeholder;
+    if (!placeholder) return '';
+
+    const styles = ['background-color: ' + placeholder.color];
+    if (placeholder.src && entry.width && entry.height) {
+      const height = Math.round(PLACEHOLDER_BOX * entry.height / entry.width);
+      const svg = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ' + PLACEHOLDER_BOX + ' ' + height + '">' +
+        '<filter id="b" color-interpolation-filters="sRGB"><feGaussianBlur stdDeviation="' + PLACEHOLDER_BLUR + '"/>' +
+        '<feComponentTransfer><feFuncA type="discrete" tableValues="1 1"/></feComponentTransfer></filter>' +
+        '<image width="100%" height="100%" preserveAspectRatio="none" filter="url(#b)" href="' + placeholder.src + '"/>' +
+        '</svg>';
+      styles.push(
+        'background-image: url("data:image/svg+xml,' + encodeURIComponent(svg) + '")',
+        'background-size: cover',
+        'background-position: center'
+      );
+    }
+    return styles.join('; ');
+  }
+
+  const api = { VARIANT_DIR, TYPES, SIZES, getVariantPath, getCandidates, getPlaceholderStyle };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    window.ResponsiveImages = api;
+  }
+})();
@@ -53,7 +53,10 @@
    */
   function updateButtonAriaLabel(button, currentTheme) {
     const nextTheme = currentTheme === THEME_DARK ? THEME_LIGHT : THEME_DARK;
-    button.setAttribute('aria-label', `Switch to ${nextTheme} theme`);
+    const label = `Switch to ${nextTheme} theme`;
+    const key = nextTheme === THEME_LIGHT ? 'theme.toLight' : 'theme.toDark';
+    // js/i18n.js, when loaded, supplies the current language's wording
+    button.setAttribute('aria-label', window.I18n ? window.I18n.t(key, label) : label);
   }
 
   /**
@@ -112,6 +115,13 @@
     // Attach click handler
     toggleButton.addEventListener('click', () => toggleTheme(toggleButton));
 
+    // Relabel when the language switches in place
+    if (window.I18n) {
+      document.addEventListener(window.I18n.CHANGE_EVENT, () => {
+        updateButtonAriaLabel(toggleButton, htmlElement.getAttribute('data-theme') || THEME_DARK);
+      });
+    }
+
     // Listen for system preference changes
     if (window.matchMedia) {
       const mediaQuery = window.matchMedia('(prefers-color-scheme: light)');
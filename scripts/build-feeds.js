@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+/**
+ * Sitemap and Feed Generator
+ * Writes sitemap.xml, feed.xml (RSS 2.0) and feed.json (JSON Feed 1.1) to the
+ * site root from projects.json. Only published projects are listed; drafts and
+ * coming-soon entries never appear.
+ *
+ * Usage:
+ *   node scripts/build-feeds.js           Write all three files
+ *   node scripts/build-feeds.js --check   Exit 1 if any file is out of date
+ *
+ * Absolute URLs use the manifest's `site.url`. An item's date comes from the
+ * project's `date` (YYYY-MM-DD), else its `year` (1 January); with neither the
+ * date is left out rather than made up. Translated case studies
+ * (projects/<slug>.sr.html) are listed in the sitemap after their English page;
+ * the feeds stay English.
+ * @module build-feeds
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {
+  absoluteUrl, escapeHtml, getTranslations, getPageFile, STATUS_PUBLISHED, PAGES_PATH
+} = require('./build-pages');
+
+// Configuration constants
+const ROOT = path.resolve(__dirname, '..');
+const MANIFEST_PATH = path.join(ROOT, 'projects.json');
+// Top-level pages, in sitemap order, before the project pages
+const SITE_PAGES = ['', 'about.html', 'contact.html'];
+const SITEMAP_FILE = 'sitemap.xml';
+const RSS_FILE = 'feed.xml';
+const JSON_FEED_FILE = 'feed.json';
+const FEED_TITLE_SUFFIX = ' — Work';
+const JSON_FEED_VERSION = 'https://jsonfeed.org/version/1.1';
+const IMAGE_TYPES = { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.webp': 'image/webp', '.gif': 'image/gif' };
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Escapes text for XML element content and attribute values
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return escapeHtml(value).replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+/**
+ * Returns a project's publication date, if the manifest has one
+ * @param {Object} project - Manifest entry
+ * @returns {Date|null}
+ */
+function getProjectDate(project) {
+  if (project.date && DATE_PATTERN.test(project.date)) {
+    return new Date(project.date + 'T00:00:00Z');
+  }
+  if (Number.isInteger(project.year)) {
+    return new Date(Date.UTC(project.year, 0, 1));
+  }
+  return null;
+}
+
+/**
+ * Collects what every output needs for each published project, in manifest order
+ * @param {Object} manifest
+ * @returns {Object[]} [{ url, translations, title, description, image, imageType, imageSize, tags, date }]
+ */
+function getItems(manifest) {
+  const site = manifest.site;
+  const categoryLabels = new Map((manifest.categories || []).map(category => [category.slug, category.label]));
+
+  return (manifest.projects || [])
+    .filter(project => project.status === STATUS_PUBLISHED && project.page)
+    .map(project => {
+      const cover = project.media.cover;
+      const coverPath = path.join(ROOT, cover);
+      return {
+        url: absoluteUrl(site, PAGES_PATH + project.slug + '.html'),
+        translations: getTranslations(project).map(language => absoluteUrl(site, PAGES_PATH + getPageFile(project.slug, language))),
+        title: project.title,
+        description: project.page.description || project.description || '',
+        image: absoluteUrl(site, cover),
+        imageType: IMAGE_TYPES[path.extname(cover).toLowerCase()] || 'application/octet-stream',
+        imageSize: fs.existsSync(coverPath) ? fs.statSync(coverPath).size : 0,
+        tags: (project.categories || []).map(slug => categoryLabels.get(slug) || slug),
+        date: getProjectDate(project)
+      };
+    });
+}
+
+/**
+ * Renders sitemap.xml: the top-level pages, then every published project page
+ * followed by its translations
+ * @param {Object} site - Manifest `site` block
+ * @param {Object[]} items - From getItems()
+ * @returns {string}
+ */
+function renderSitemap(site, items) {
+  const urls = SITE_PAGES.map(page => absoluteUrl(site, page)).concat(...items.map(item => [item.url].concat(item.translations)));
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">'
+  ].concat(
+    urls.map(url => '  <url><loc>' + escapeXml(url) + '</loc></url>'),
+    ['</urlset>', '']
+  ).join('\n');
+}
+
+/**
+ * Renders feed.xml (RSS 2.0); the cover image is the item's enclosure
+ * @param {Object} site - Manifest `site` block
+ * @param {Object[]} items - From getItems()
+ * @returns {string}
+ */
+function renderRss(site, items) {
+  const dates = items.map(item => item.date).filter(Boolean);
+  const latest = dates.length ? new Date(Math.max(...dates)) : null;
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    '    <title>' + escapeXml(site.title + FEED_TITLE_SUFFIX) + '</title>',
+    '    <link>' + escapeXml(absoluteUrl(site, '')) + '</link>',
+    '    <description>' + escapeXml(site.description) + '</description>',
+    '    <language>' + escapeXml(site.language) + '</language>',
+    '    <atom:link href="' + escapeXml(absoluteUrl(site, RSS_FILE)) + '" rel="self" type="application/rss+xml"/>'
+  ].concat(
+    latest ? ['    <lastBuildDate>' + latest.toUTCString() + '</lastBuildDate>'] : [],
+    ...items.map(item => [
+      '    <item>',
+      '      <title>' + escapeXml(item.title) + '</title>',
+      '      <link>' + escapeXml(item.url) + '</link>',
+      '      <guid isPermaLink="true">' + escapeXml(item.url) + '</guid>',
+      '      <description>' + escapeXml(item.description) + '</description>'
+    ].concat(
+      item.tags.map(tag => '      <category>' + escapeXml(tag) + '</category>'),
+      item.date ? ['      <pubDate>' + item.date.toUTCString() + '</pubDate>'] : [],
+      ['      <enclosure url="' + escapeXml(item.image) + '" length="' + item.imageSize + '" type="' + item.imageType + '"/>'],
+      ['    </item>']
+    )),
+    ['  </channel>', '</rss>', '']
+  ).join('\n');
+}
+
+/**
+ * Renders feed.json (JSON Feed 1.1)
+ * @param {Object} site - Manifest `site` block
+ * @param {Object[]} items - From getItems()
+ * @returns {string}
+ */
+function renderJsonFeed(site, items) {
+  const feed = {
+    version: JSON_FEED_VERSION,
+    title: site.title + FEED_TITLE_SUFFIX,
+    home_page_url: absoluteUrl(site, ''),
+    feed_url: absoluteUrl(site, JSON_FEED_FILE),
+    description: site.description,
+    language: site.language,
+    authors: [{ name: site.title, url: absoluteUrl(site, '') }],
+    items: items.map(item => Object.assign({
+      id: item.url,
+      url: item.url,
+      title: item.title,
+      content_text: item.description,
+      summary: item.description,
+      image: item.image,
+      tags: item.tags
+    }, item.date ? { date_published: item.date.toISOString() } : {}))
+  };
+  return JSON.stringify(feed, null, 2) + '\n';
+}
+
+/**
+ * Writes (or, with --check, compares) every output file
+ * @param {boolean} checkOnly - Don't write, just report stale files
+ * @returns {{changed: number, failed: number}}
+ */
+function build(checkOnly) {
+  const manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+  const site = manifest.site;
+  if (!site || !site.url) {
+    console.error('✗ projects.json has no site.url');
+    return { changed: 0, failed: 1 };
+  }
+
+  const items = getItems(manifest);
+  const outputs = [
+    [SITEMAP_FILE, renderSitemap(site, items)],
+    [RSS_FILE, renderRss(site, items)],
+    [JSON_FEED_FILE, renderJsonFeed(site, items)]
+  ];
+  let changed = 0;
+
+  outputs.forEach(([fileName, contents]) => {
+    const outputPath = path.join(ROOT, fileName);
+    const current = fs.existsSync(outputPath) ? fs.readFileSync(outputPath, 'utf8') : null;
+    if (current === contents) {
+      console.log('  ' + fileName + ' (unchanged)');
+      return;
+    }
+
+    changed++;
+    if (checkOnly) {
+      console.log('! ' + fileName + ' is out of date');
+    } else {
+      fs.writeFileSync(outputPath, contents);
+      console.log('✓ ' + fileName + (current === null ? ' (new)' : ''));
+    }
+  });
+
+  console.log(items.length + ' projects' + (items.some(item => !item.date) ? ' (' + items.filter(item => !item.date).length + ' without a date)' : ''));
+  return { changed, failed: 0 };
+}
+
+if (require.main === module) {
+  const checkOnly = process.argv.includes('--check');
+  const { changed, failed } = build(checkOnly);
+  if (failed || (checkOnly && changed)) {
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { build, getItems };
@@ -0,0 +1,342 @@
+#!/usr/bin/env node
+/**
+ * Responsive Image Generator
+ * Writes smaller widths and WebP/AVIF versions of every JPG/PNG under
+ * assets/images/projects/ into a responsive/ folder next to it, plus a
+ * placeholder for each (its average colour and a blurred ~20px thumbnail),
+ * and records them in images.json. The grid (js/projects.js) and the generated
+ * pages (scripts/build-pages.js) turn complete variant sets into
+ * <picture>/srcset and placeholders into blur-up backgrounds; images without
+ * variants keep their plain src.
+ *
+ * Usage:
+ *   node scripts/build-images.js           Generate missing/outdated variants, rewrite images.json
+ *   node scripts/build-images.js --check   Exit 1 if a variant or images.json is out of date
+ *
+ * Encoding needs ImageMagick 7 (`magick` on the PATH) built with WebP and AVIF
+ * (libheif) support; nothing is installed from npm. Variants are named
+ * <name>-<width>.<format> (e.g. alluel/responsive/cover-800.webp), never wider
+ * than the original, and are redone when the original is newer. Variants
+ * whose original is gone are deleted. Placeholders are kept in images.json
+ * itself (a data: URI, a few hundred bytes each) and redone when the original
+ * is newer than the file.
+ *
+ * Without ImageMagick, or when an image fails, the run exits 1 and leaves
+ * images.json (and the responsive/ folders) as they were, so the manifest never
+ * lists variants or placeholders that weren't made.
+ * @module build-images
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { VARIANT_DIR, getVariantPath } = require('../js/responsive-images');
+
+// Configuration constants
+const ROOT = path.resolve(__dirname, '..');
+const IMAGES_PATH = 'assets/images/projects'; // relative to ROOT, as the manifest writes it
+const INDEX_FILE = 'images.json';
+const WIDTHS = [480, 800, 1200, 1600, 2400]; // px - plus the original's own width
+const MODERN_FORMATS = ['avif', 'webp']; // before the original's format, best first
+const SOURCE_FORMATS = { '.jpg': 'jpg', '.jpeg': 'jpg', '.png': 'png' };
+const QUALITY = { avif: 50, webp: 75, jpg: 80 }; // png is lossless
+const ENCODER = 'magick';
+const PNG_SIGNATURE = '89504e470d0a1a0a';
+const PLACEHOLDER_WIDTH = 20; // px - the browser blurs it back up to size
+const PLACEHOLDER_QUALITY = 40;
+
+/**
+ * Reads an image's pixel size from its header (PNG IHDR or JPEG SOFn)
+ * @param {Buffer} buffer
+ * @returns {{width: number, height: number}|null}
+ */
+function readImageSize(buffer) {
+  if (buffer.length > 24 && buffer.toString('hex', 0, 8) === PNG_SIGNATURE) {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+
+  if (buffer[0] !== 0xff || buffer[1] !== 0xd8) {
+    return null;
+  }
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset++; // fill byte
+      continue;
+    }
+    const length = buffer.readUInt16BE(offset + 2);
+    // SOF0–SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+    offset += 2 + length;
+  }
+  return null;
+}
+
+/**
+ * Lists the original images, one folder per project
+ * @returns {string[]} Paths relative to ROOT, sorted
+ */
+function findSources() {
+  const dir = path.join(ROOT, IMAGES_PATH);
+  if (!fs.existsSync(dir)) return [];
+
+  return [].concat(...fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(folder => fs.readdirSync(path.join(dir, folder.name), { withFileTypes: true })
+      .filter(entry => entry.isFile() && SOURCE_FORMATS[path.extname(entry.name).toLowerCase()])
+      .map(entry => IMAGES_PATH + '/' + folder.name + '/' + entry.name)))
+    .sort();
+}
+
+/**
+ * Lists the variants an original should have
+ * @param {string} source - Relative to ROOT
+ * @param {{width: number, height: number}} size
+ * @returns {{width: number, format: string, file: string}[]}
+ */
+function getVariants(source, size) {
+  const widths = WIDTHS.filter(width => width < size.width).concat(size.width);
+  const formats = MODERN_FORMATS.concat(SOURCE_FORMATS[path.extname(source).toLowerCase()]);
+  return [].concat(...formats.map(format => widths.map(width => ({
+    width,
+    format,
+    file: getVariantPath(source, width, format)
+  }))));
+}
+
+/**
+ * Checks whether a variant is missing or older than its original
+ * @param {string} file - Variant, relative to ROOT
+ * @param {fs.Stats} sourceStat
+ * @returns {boolean}
+ */
+function isStale(file, sourceStat) {
+  const filePath = path.join(ROOT, file);
+  return !fs.existsSync(filePath) || fs.statSync(filePath).mtimeMs < sourceStat.mtimeMs;
+}
+
+/**
+ * Checks that ImageMagick can be run
+ * @returns {boolean}
+ */
+function hasEncoder() {
+  const result = spawnSync(ENCODER, ['-version'], { encoding: 'utf8' });
+  return result.status === 0;
+}
+
+/**
+ * Writes one variant with ImageMagick
+ * @param {string} source - Relative to ROOT
+ * @param {{width: number, format: string, file: string}} variant
+ * @returns {string|null} Error message, or null on success
+ */
+function encode(source, variant) {
+  const output = path.join(ROOT, variant.file);
+  fs.mkdirSync(path.dirname(output), { recursive: true });
+
+  const args = [path.join(ROOT, source), '-auto-orient', '-resize', variant.width + 'x', '-strip']
+    .concat(QUALITY[variant.format] ? ['-quality', String(QUALITY[variant.format])] : [])
+    .concat(output);
+  const result = spawnSync(ENCODER, args, { encoding: 'utf8' });
+  if (result.status === 0) return null;
+  return (result.stderr || '').trim().split('\n')[0] || ENCODER + ' exited with ' + result.status;
+}
+
+/**
+ * Makes an image's placeholder: its average colour and a tiny WebP thumbnail
+ * @param {string} source - Relative to ROOT
+ * @returns {{placeholder: {color: string, src: string}}|{error: string}}
+ */
+function makePlaceholder(source) {
+  const input = path.join(ROOT, source);
+  const thumbnail = spawnSync(ENCODER, [input, '-auto-orient', '-resize', PLACEHOLDER_WIDTH + 'x', '-strip',
+    '-quality', String(PLACEHOLDER_QUALITY), 'webp:-']);
+  const color = spawnSync(ENCODER, [input, '-alpha', 'off', '-resize', '1x1!', '-format', '%[hex:p{0,0}]', 'info:'],
+    { encoding: 'utf8' });
+
+  const failure = [thumbnail, color].find(result => result.status !== 0 || !result.stdout.length);
+  if (failure) {
+    return { error: String(failure.stderr || '').trim().split('\n')[0] || ENCODER + ' exited with ' + failure.status };
+  }
+  return {
+    placeholder: {
+      color: '#' + color.stdout.trim().slice(0, 6).toLowerCase(),
+      src: 'data:image/webp;base64,' + thumbnail.stdout.toString('base64')
+    }
+  };
+}
+
+/**
+ * Reads the current images.json, to reuse its placeholders
+ * @param {string} indexPath
+ * @returns {{entries: Object, mtimeMs: number}}
+ */
+function readIndex(indexPath) {
+  if (!fs.existsSync(indexPath)) return { entries: {}, mtimeMs: 0 };
+  try {
+    return { entries: JSON.parse(fs.readFileSync(indexPath, 'utf8')), mtimeMs: fs.statSync(indexPath).mtimeMs };
+  } catch (error) {
+    return { entries: {}, mtimeMs: 0 }; // rewritten below
+  }
+}
+
+/**
+ * Lists the files in every responsive/ folder
+ * @returns {string[]} Paths relative to ROOT
+ */
+function findVariantFiles() {
+  const dir = path.join(ROOT, IMAGES_PATH);
+  if (!fs.existsSync(dir)) return [];
+
+  return [].concat(...fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && fs.existsSync(path.join(dir, entry.name, VARIANT_DIR)))
+    .map(folder => fs.readdirSync(path.join(dir, folder.name, VARIANT_DIR))
+      .map(name => IMAGES_PATH + '/' + folder.name + '/' + VARIANT_DIR + '/' + name)));
+}
+
+/**
+ * Generates (or, with --check, reports) stale variants and placeholders and
+ * rewrites images.json, unless something failed
+ * @param {boolean} checkOnly - Don't write, just report what's out of date
+ * @returns {{changed: number, failed: number}}
+ */
+function build(checkOnly) {
+  const sources = findSources();
+  const indexPath = path.join(ROOT, INDEX_FILE);
+  const previous = readIndex(indexPath);
+  const index = {};
+  const expected = new Map(); // variant → its original
+  let encoderFound = null; // checked on the first stale image
+  let skipped = 0; // stale images left alone without an encoder
+  let placeholdersMade = 0;
+  let changed = 0;
+  let failed = 0;
+
+  sources.forEach(source => {
+    const name = path.relative(IMAGES_PATH, source);
+    const sourcePath = path.join(ROOT, source);
+    const size = readImageSize(fs.readFileSync(sourcePath));
+    if (!size) {
+      failed++;
+      console.error('✗ ' + name + ': can\'t read the image size');
+      return;
+    }
+
+    const sourceStat = fs.statSync(sourcePath);
+    const variants = getVariants(source, size);
+    // hover.jpg and hover.png would both write responsive/hover-480.webp
+    const clash = variants.find(variant => expected.has(variant.file));
+    if (clash) {
+      failed++;
+      console.error('✗ ' + name + ': same name as ' + path.relative(IMAGES_PATH, expected.get(clash.file)) +
+        ', whose variants it would overwrite; rename or remove one');
+      return;
+    }
+    variants.forEach(variant => expected.set(variant.file, source));
+    let stale = variants.filter(variant => isStale(variant.file, sourceStat));
+    const entry = previous.entries[source];
+    let placeholder = entry && entry.placeholder && previous.mtimeMs >= sourceStat.mtimeMs ? entry.placeholder : null;
+
+    if (stale.length || !placeholder) {
+      changed++;
+      if (checkOnly) {
+        const outdated = (stale.length ? [stale.length + ' of ' + variants.length + ' variants'] : [])
+          .concat(placeholder ? [] : ['placeholder']);
+        console.log('! ' + name + ': ' + outdated.join(' and ') + ' out of date');
+      } else {
+        if (encoderFound === null) {
+          encoderFound = hasEncoder();
+        }
+        if (!encoderFound) {
+          skipped++;
+        } else {
+          const errors = stale.map(variant => encode(source, variant)).filter(Boolean);
+          const made = stale.length ? [stale.length + ' variants'] : [];
+          if (!placeholder) {
+            const result = makePlaceholder(source);
+            if (result.error) {
+              errors.push(result.error);
+            } else {
+              placeholder = result.placeholder;
+              placeholdersMade++;
+              made.push('placeholder');
+            }
+          }
+          if (errors.length) {
+            failed++;
+            console.error('✗ ' + name + ': ' + errors[0]);
+          } else {
+            console.log('✓ ' + name + ' (' + made.join(', ') + ')');
+          }
+          stale = variants.filter(variant => isStale(variant.file, sourceStat));
+        }
+      }
+    } else {
+      console.log('  ' + name + ' (unchanged)');
+    }
+
+    // Only complete sets are listed, so a page never asks for a missing file
+    index[source] = { width: size.width, height: size.height };
+    if (!stale.length) {
+      index[source].widths = Array.from(new Set(variants.map(variant => variant.width)));
+      index[source].formats = Array.from(new Set(variants.map(variant => variant.format)));
+    }
+    if (placeholder) {
+      index[source].placeholder = placeholder;
+    }
+  });
+
+  if (skipped) {
+    failed++;
+    console.error('✗ ImageMagick not found (`' + ENCODER + '` on the PATH): ' + skipped + ' images need variants or placeholders');
+  }
+  if (failed && !checkOnly) {
+    console.error('✗ ' + INDEX_FILE + ' not written; fix the errors above and rerun');
+    return { changed, failed };
+  }
+
+  findVariantFiles().filter(file => !expected.has(file)).forEach(file => {
+    changed++;
+    if (checkOnly) {
+      console.log('! ' + path.relative(IMAGES_PATH, file) + ' has no original');
+    } else {
+      fs.unlinkSync(path.join(ROOT, file));
+      console.log('✓ ' + path.relative(IMAGES_PATH, file) + ' (deleted, no original)');
+    }
+  });
+
+  const contents = JSON.stringify(index, null, 2) + '\n';
+  const current = fs.existsSync(indexPath) ? fs.readFileSync(indexPath, 'utf8') : null;
+  // A redone placeholder can come out the same; rewrite anyway so it's newer than its original
+  if (current === contents && !placeholdersMade) {
+    console.log('  ' + INDEX_FILE + ' (unchanged)');
+  } else {
+    changed++;
+    if (checkOnly) {
+      console.log('! ' + INDEX_FILE + ' is out of date');
+    } else {
+      fs.writeFileSync(indexPath, contents);
+      console.log('✓ ' + INDEX_FILE + (current === null ? ' (new)' : ''));
+    }
+  }
+
+  const entries = Object.keys(index).map(source => index[source]);
+  console.log(entries.filter(entry => entry.widths).length + ' of ' + sources.length +
+    ' images have responsive variants, ' + entries.filter(entry => entry.placeholder).length + ' have placeholders');
+  return { changed, failed };
+}
+
+if (require.main === module) {
+  const checkOnly = process.argv.includes('--check');
+  const { changed, failed } = build(checkOnly);
+  if (failed || (checkOnly && changed)) {
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { build, readImageSize, getVariants, INDEX_FILE };
@@ -0,0 +1,1029 @@
+#!/usr/bin/env node
+/**
+ * Project Page Generator
+ * Builds projects/<slug>.html for every published project in projects.json from
+ * its case-study text (texts/NN Name.txt) and templates/project.html. Drafts
+ * with a `page` block get a noindex page too, for previewing (index.html?preview).
+ *
+ * Usage:
+ *   node scripts/build-pages.js           Write all pages
+ *   node scripts/build-pages.js --check   Exit 1 if any page is out of date
+ *
+ * Text file format (one block per line, blank lines ignored):
+ *   Client: … Industry: … Services: … Live Site: …   → .project-details
+ *   Title                                            → <h1>, <title>
+ *   Tagline                                          → meta description fallback
+ *   The Overview …                                   → .project-description (else the tagline)
+ *   The Story … / The Approach … / The Result …      → .project-section (in order)
+ * A line without a heading continues the previous block as a new paragraph.
+ *
+ * A project whose manifest `page.content` names a file in content/ is built
+ * from that instead. Every page does: content/ holds the copy that was
+ * published before this generator existed (the text files are older drafts),
+ * and scripts/import-docx.js can replace it from a Word document, keeping its
+ * bold text, links and lists.
+ *
+ * Translations: a file of the same name in texts/sr/ (or content/sr/) builds
+ * projects/<slug>.sr.html. It uses the TRANSLATIONS headings and labels
+ * ("Klijent: …", "Pregled …", "Priča …"); the page chrome comes from
+ * js/i18n-strings.js. Both versions list each other as hreflang alternates.
+ *
+ * The hand-written pages get their generated blocks too, between
+ * <!-- build:<name> --> markers: absolute hreflang alternates (?lang=sr), and
+ * index.html's no-JavaScript project list and the Person JSON-LD on about.html
+ * and contact.html (from the manifest's `site.person`).
+ *
+ * Images with variants in images.json (scripts/build-images.js) are written as
+ * <picture> with AVIF/WebP sources and a srcset, and cards, the hero and gallery
+ * items carry their image's blur-up placeholder; run that first when images change.
+ * @module build-pages
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const STRINGS = require('../js/i18n-strings');
+const { SIZES, getCandidates, getPlaceholderStyle } = require('../js/responsive-images');
+
+// Configuration constants
+const ROOT = path.resolve(__dirname, '..');
+const MANIFEST_PATH = path.join(ROOT, 'projects.json');
+const TEMPLATE_PATH = path.join(ROOT, 'templates', 'project.html');
+const IMAGES_INDEX_PATH = path.join(ROOT, 'images.json'); // written by scripts/build-images.js
+const TEXTS_PATH = 'texts/'; // case-study sources, relative to ROOT
+const CONTENT_PATH = 'content/';
+const PAGES_DIR = path.join(ROOT, 'projects');
+// Hand-written pages (site-root paths) and the generated blocks each one has
+const STATIC_PAGES = [
+  { file: 'index.html', path: '', blocks: ['alternates', 'project-list'] },
+  { file: 'about.html', path: 'about.html', blocks: ['alternates', 'person'] },
+  { file: 'contact.html', path: 'contact.html', blocks: ['alternates', 'person'] }
+];
+const LANGUAGE_PARAM = 'lang'; // js/i18n.js translates the hand-written pages in place for ?lang=sr
+const PAGES_PATH = 'projects/'; // PAGES_DIR as a URL path from the site root
+const STATUS_PUBLISHED = 'published';
+const STATUS_DRAFT = 'draft'; // gets a noindex page for ?preview, outside the prev/next loop
+const OVERVIEW_HEADING = 'The Overview';
+const SECTION_HEADINGS = [OVERVIEW_HEADING, 'The Story', 'The Approach', 'The Result', 'The Challenge', 'The Solution'];
+const DETAIL_LABELS = ['Client', 'Industry', 'Services', 'Live Site', 'Role', 'Status', 'Project Name', 'Project'];
+const LIVE_SITE_LABEL = 'Live Site';
+const DEFAULT_LANGUAGE = 'en';
+// Section headings and detail labels of translated case studies → their English equivalents
+const TRANSLATIONS = {
+  sr: {
+    headings: {
+      'Pregled': OVERVIEW_HEADING, 'Priča': 'The Story', 'Pristup': 'The Approach', 'Rezultat': 'The Result',
+      'Izazov': 'The Challenge', 'Rešenje': 'The Solution'
+    },
+    labels: {
+      'Klijent': 'Client', 'Delatnost': 'Industry', 'Usluge': 'Services', 'Sajt': LIVE_SITE_LABEL, 'Uloga': 'Role',
+      'Status': 'Status', 'Naziv projekta': 'Project Name', 'Projekat': 'Project'
+    }
+  }
+};
+const SCHEMA_CONTEXT = 'https://schema.org';
+const WORK_BREADCRUMB = 'Work';
+const RELATED_COUNT = 3;
+const RELATED_WEIGHTS = { category: 2, industry: 1 }; // per shared category / industry tag
+const CARD_IMAGE_SIZE = 800; // px - matches IMAGE_SIZE in js/projects.js
+const ARROW_ICON = '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">' +
+  '<line x1="5" y1="12" x2="19" y2="12"></line><polyline points="12 5 19 12 12 19"></polyline></svg>';
+const INDENT = '  ';
+
+/**
+ * Escapes text for HTML element content
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Escapes text for a double-quoted attribute value
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeAttribute(value) {
+  return escapeHtml(value).replace(/"/g, '&quot;');
+}
+
+/**
+ * Indents every line of a block by the given depth
+ * @param {string[]} lines
+ * @param {number} depth - Indent levels (two spaces each)
+ * @returns {string}
+ */
+function indent(lines, depth) {
+  const prefix = INDENT.repeat(depth);
+  return lines.map(line => (line ? prefix + line : line)).join('\n');
+}
+
+/**
+ * Renders an image: a <picture> with AVIF/WebP sources and a srcset once
+ * scripts/build-images.js has made its variants, the plain <img> until then
+ * @param {Array<[string, (string|number)]>} attributes - In output order; `src` is relative to the site root
+ * @param {string} sizes - Where it's shown (SIZES in js/responsive-images.js)
+ * @param {Object} images - images.json
+ * @returns {string[]} Lines
+ */
+function renderImage(attributes, sizes, images) {
+  const src = attributes.find(([name]) => name === 'src')[1];
+  const candidates = getCandidates(src, images[src], '../');
+  const attribute = (name, value) => ' ' + name + '="' + escapeAttribute(value) + '"';
+  const image = '<img' + attributes.map(([name, value]) => (name === 'src'
+    ? attribute(name, '../' + src) + (candidates ? attribute('srcset', candidates.srcset) + attribute('sizes', sizes) : '')
+    : attribute(name, value))).join('') + '>';
+
+  if (!candidates) return [image];
+  return ['<picture>'].concat(
+    candidates.sources.map(source =>
+      INDENT + '<source type="' + source.type + '"' + attribute('srcset', source.srcset) + attribute('sizes', sizes) + '>'),
+    [INDENT + image, '</picture>']
+  );
+}
+
+/**
+ * Renders the attributes that show an image's placeholder on its container
+ * until it loads (js/blur-up.js)
+ * @param {string} src - Relative to the site root
+ * @param {Object} images - images.json
+ * @returns {string} ' data-placeholder style="…"', or '' without a placeholder
+ */
+function renderPlaceholder(src, images) {
+  const style = getPlaceholderStyle(images[src]);
+  return style ? ' data-placeholder style="' + escapeAttribute(style) + '"' : '';
+}
+
+/**
+ * Maps a translated heading or detail label to its English equivalent
+ * @param {string} text - As written in the case study
+ * @param {string} language
+ * @param {string} table - 'headings' or 'labels'
+ * @returns {string}
+ */
+function toEnglish(text, language, table) {
+  const translation = TRANSLATIONS[language];
+  return translation && translation[table][text] ? translation[table][text] : text;
+}
+
+/**
+ * Splits the "Client: … Industry: …" line into label/value pairs in file order
+ * @param {string} line
+ * @param {string} [language] - Language of the labels (default English)
+ * @returns {{label: string, value: string}[]}
+ */
+function parseDetails(line, language = DEFAULT_LANGUAGE) {
+  // Longest labels first so "Project Name" wins over "Project"
+  const labels = (TRANSLATIONS[language] ? Object.keys(TRANSLATIONS[language].labels) : DETAIL_LABELS.slice())
+    .sort((a, b) => b.length - a.length);
+  const pattern = new RegExp('(?:^|\\s)(' + labels.join('|') + '):\\s*', 'g');
+  const matches = Array.from(line.matchAll(pattern));
+
+  return matches.map((match, index) => {
+    const start = match.index + match[0].length;
+    const end = index + 1 < matches.length ? matches[index + 1].index : line.length;
+    return { label: match[1], value: line.slice(start, end).trim() };
+  });
+}
+
+/**
+ * Returns the heading a line starts with, if any
+ * @param {string} line
+ * @param {string} [language] - Language of the headings (default English)
+ * @returns {string|null}
+ */
+function matchHeading(line, language = DEFAULT_LANGUAGE) {
+  const headings = TRANSLATIONS[language] ? Object.keys(TRANSLATIONS[language].headings) : SECTION_HEADINGS;
+  return headings.find(heading => line === heading || line.startsWith(heading + ' ')) || null;
+}
+
+/**
+ * Parses a case-study text file
+ * @param {string} source - File contents
+ * @param {string} fileName - For error messages
+ * @param {string} [language] - Language the file is written in (default English)
+ * @returns {{details: Object[], title: string, tagline: string, overview: string[], sections: Object[]}}
+ */
+function parseText(source, fileName, language = DEFAULT_LANGUAGE) {
+  const lines = source
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(Boolean);
+
+  if (lines.length < 3) {
+    throw new Error(fileName + ': expected a details line, a title and a tagline');
+  }
+
+  const details = parseDetails(lines[0], language);
+  if (!details.length) {
+    throw new Error(fileName + ': first line has no "Client: … Industry: …" details');
+  }
+
+  const blocks = [];
+  lines.slice(3).forEach((line, index) => {
+    const heading = matchHeading(line, language);
+    if (heading) {
+      const text = line.slice(heading.length).trim();
+      blocks.push({ heading, paragraphs: text ? [text] : [] });
+    } else if (blocks.length) {
+      blocks[blocks.length - 1].paragraphs.push(line);
+    } else {
+      throw new Error(fileName + ':' + (index + 4) + ': text before the first section heading');
+    }
+  });
+
+  const isOverview = block => toEnglish(block.heading, language, 'headings') === OVERVIEW_HEADING;
+  const overview = blocks.find(isOverview);
+  const sections = blocks.filter(block => !isOverview(block));
+  if (!sections.length) {
+    throw new Error(fileName + ': no sections (The Story, The Approach, …)');
+  }
+
+  return {
+    details,
+    title: lines[1],
+    tagline: lines[2],
+    overview: overview ? overview.paragraphs : [],
+    sections
+  };
+}
+
+/**
+ * Turns an industry label into the slug js/filter.js keys it by ("TV & Film" → "tv-film")
+ * @param {string} label
+ * @returns {string}
+ */
+function slugify(label) {
+  return label.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Renders a tag row (primary categories or secondary industries)
+ * @param {{key: string, label: string}[]} tags - English label plus its js/i18n-strings.js key
+ * @returns {string}
+ */
+function renderTags(tags) {
+  return indent(tags.map(tag => '<span class="tag" data-i18n="' + escapeAttribute(tag.key) + '">' + escapeHtml(tag.label) + '</span>'), 5);
+}
+
+/**
+ * Returns the URL for a "Live Site" value that looks like a domain ("alluel.com")
+ * @param {string} value
+ * @returns {string|null}
+ */
+function getLiveSiteUrl(value) {
+  if (!/^[^\s]+\.[a-z]{2,}(\/\S*)?$/i.test(value)) return null;
+  return /^https?:\/\//.test(value) ? value : 'https://' + value;
+}
+
+/**
+ * Renders the details aside. A "Live Site" that looks like a domain becomes
+ * an external link; anything else ("Coming soon") stays plain text.
+ * @param {{label: string, value: string}[]} details
+ * @param {string} language - Language the labels are written in
+ * @returns {string}
+ */
+function renderDetails(details, language) {
+  const lines = [];
+  details.forEach(detail => {
+    lines.push('<div class="detail-item">');
+    lines.push(INDENT + '<div class="detail-label">' + escapeHtml(detail.label) + '</div>');
+    const href = toEnglish(detail.label, language, 'labels') === LIVE_SITE_LABEL ? getLiveSiteUrl(detail.value) : null;
+    if (href) {
+      const text = detail.value.replace(/^https?:\/\//, '');
+      lines.push(INDENT + '<div class="detail-value">');
+      lines.push(INDENT.repeat(2) + '<a href="' + escapeAttribute(href) + '" target="_blank" rel="noopener noreferrer">' + escapeHtml(text) + ' →</a>');
+      lines.push(INDENT + '</div>');
+    } else {
+      lines.push(INDENT + '<div class="detail-value">' + escapeHtml(detail.value) + '</div>');
+    }
+    lines.push('</div>');
+  });
+  return indent(lines, 5);
+}
+
+/**
+ * Renders content blocks: paragraphs (inline HTML) and bulleted/numbered lists
+ * @param {Object[]} blocks - [{ type: 'paragraph', html } | { type: 'list', ordered, items }]
+ * @param {string} className - Class for each block ('' for none)
+ * @returns {string[]} Lines
+ */
+function renderBlocks(blocks, className) {
+  const classAttribute = className ? ' class="' + className + '"' : '';
+  const lines = [];
+  blocks.forEach(block => {
+    if (block.type === 'list') {
+      const tag = block.ordered ? 'ol' : 'ul';
+      lines.push('<' + tag + classAttribute + '>');
+      block.items.forEach(item => lines.push(INDENT + '<li>' + item + '</li>'));
+      lines.push('</' + tag + '>');
+    } else {
+      lines.push('<p' + classAttribute + '>' + block.html + '</p>');
+    }
+  });
+  return lines;
+}
+
+/**
+ * Renders the sections with the gallery between them: a two-up gallery after
+ * the first section, a full-width image after the second
+ * @param {Object[]} sections - [{ heading, blocks }]
+ * @param {string} imageDir - Project image directory relative to the site root
+ * @param {string[]} galleryAlts - Alt text for gallery-1…3
+ * @param {Object} images - images.json
+ * @returns {string}
+ */
+function renderContent(sections, imageDir, galleryAlts, images) {
+  const blocks = sections.map(section => indent([
+    '<!-- ' + section.heading + ' -->',
+    '<section class="project-section anim-fade-up">',
+    INDENT + '<h2 class="project-section-title">' + escapeHtml(section.heading) + '</h2>'
+  ].concat(
+    renderBlocks(section.blocks, 'project-section-text').map(line => INDENT + line),
+    ['</section>']
+  ), 3));
+
+  const image = (index, width, height, sizes) => {
+    const src = imageDir + '/gallery-' + (index + 1) + '.jpg';
+    return ['<div class="project-gallery-item"' + renderPlaceholder(src, images) + '>'].concat(
+      renderImage([
+        ['src', src],
+        ['alt', galleryAlts[index]],
+        ['loading', 'lazy'],
+        ['width', width],
+        ['height', height]
+      ], sizes, images).map(line => INDENT + line),
+      ['</div>']
+    ).map(line => INDENT + line);
+  };
+
+  if (galleryAlts.length >= 2) {
+    blocks.splice(1, 0, indent([
+      '<!-- Image Gallery -->',
+      '<div class="project-gallery anim-fade-up">'
+    ].concat(
+      image(0, 800, 600, SIZES.gallery),
+      image(1, 800, 600, SIZES.gallery),
+      ['</div>']
+    ), 3));
+  }
+  if (galleryAlts.length >= 3 && blocks.length > 3) {
+    blocks.splice(3, 0, indent([
+      '<!-- Full-width Gallery Image -->',
+      '<div class="project-gallery-full anim-fade-up">'
+    ].concat(
+      image(2, 1600, 900, SIZES.galleryFull),
+      ['</div>']
+    ), 3));
+  }
+
+  return blocks.join('\n\n');
+}
+
+/**
+ * Turns a site-root-relative path into an absolute URL on the production site
+ * (manifest `site.url`), as link previews, feeds and sitemaps require
+ * @param {Object} site - Manifest `site` block
+ * @param {string} sitePath - e.g. 'projects/alluel.html'
+ * @returns {string}
+ */
+function absoluteUrl(site, sitePath) {
+  return site.url.replace(/\/+$/, '') + '/' + sitePath.replace(/^\/+/, '');
+}
+
+/**
+ * Builds the site owner's schema.org Person from the manifest's `site` block
+ * (name = `site.title`, the rest from `site.person`); project pages refer to
+ * it by its @id
+ * @param {Object} site - Manifest `site` block
+ * @returns {Object}
+ */
+function getPerson(site) {
+  const details = site.person || {};
+  // Unset fields stay undefined, which JSON.stringify leaves out
+  return {
+    '@type': 'Person',
+    '@id': absoluteUrl(site, '#person'),
+    name: site.title,
+    url: absoluteUrl(site, 'about.html'),
+    jobTitle: details.jobTitle,
+    email: details.email ? 'mailto:' + details.email : undefined,
+    address: details.address ? {
+      '@type': 'PostalAddress',
+      addressLocality: details.address.locality,
+      addressCountry: details.address.country
+    } : undefined,
+    knowsAbout: details.knowsAbout,
+    sameAs: details.sameAs
+  };
+}
+
+/**
+ * Renders the Person JSON-LD block of about.html and contact.html
+ * @param {Object} site - Manifest `site` block
+ * @returns {string[]} Lines
+ */
+function renderPersonBlock(site) {
+  const json = JSON.stringify(Object.assign({ '@context': SCHEMA_CONTEXT }, getPerson(site)), null, 2)
+    .replace(/</g, '\\u003c');
+  return ['<script type="application/ld+json">'].concat(json.split('\n').map(line => INDENT + line), ['</script>']);
+}
+
+/**
+ * Builds the page's JSON-LD: a CreativeWork from the details (Client → the
+ * organization the work was made for, Live Site → its URL, Industry → about,
+ * Services → keywords) and a Work › Project BreadcrumbList
+ * @param {Object} project - Manifest entry
+ * @param {Object} content - From loadContent()
+ * @param {Object} site - Manifest `site` block
+ * @param {string} language - Page language
+ * @returns {string} JSON, indented for the <script> block
+ */
+function renderStructuredData(project, content, site, language) {
+  const pageUrl = absoluteUrl(site, PAGES_PATH + getPageFile(project.slug, language));
+  const details = new Map(content.details.map(detail => [toEnglish(detail.label, language, 'labels'), detail.value]));
+  const split = value => (value || '').split(',').map(part => part.trim()).filter(Boolean);
+  const client = details.get('Client');
+  const clientUrl = getLiveSiteUrl(details.get(LIVE_SITE_LABEL) || '');
+  const person = getPerson(site);
+
+  const work = {
+    '@type': 'CreativeWork',
+    name: content.title,
+    description: project.page.description || content.tagline,
+    url: pageUrl,
+    inLanguage: language,
+    image: absoluteUrl(site, path.posix.dirname(project.media.cover) + '/hero.jpg'),
+    creator: { '@type': 'Person', '@id': person['@id'], name: person.name, url: person.url }
+  };
+  if (client) {
+    work.sourceOrganization = Object.assign({ '@type': 'Organization', name: client }, clientUrl ? { url: clientUrl } : {});
+  }
+  if (details.has('Industry')) {
+    work.about = split(details.get('Industry')).map(name => ({ '@type': 'Thing', name }));
+  }
+  if (details.has('Services')) {
+    work.keywords = split(details.get('Services')).join(', ');
+  }
+
+  const breadcrumbs = {
+    '@type': 'BreadcrumbList',
+    itemListElement: [
+      { '@type': 'ListItem', position: 1, name: translate(language, 'nav.work', WORK_BREADCRUMB), item: absoluteUrl(site, '') },
+      { '@type': 'ListItem', position: 2, name: content.title, item: pageUrl }
+    ]
+  };
+
+  const json = JSON.stringify({ '@context': SCHEMA_CONTEXT, '@graph': [work, breadcrumbs] }, null, 2)
+    .replace(/</g, '\\u003c'); // never close the <script> early
+  return indent(json.split('\n'), 2);
+}
+
+/**
+ * Picks the projects most like this one: shared categories count double,
+ * shared industry tags once; ties (and the fill when little is shared) go
+ * by manifest order
+ * @param {Object} project - Manifest entry
+ * @param {Object[]} published - Published entries in manifest order
+ * @returns {Object[]} Up to RELATED_COUNT entries
+ */
+function getRelated(project, published) {
+  const categories = project.categories || [];
+  const industries = (project.industries || []).map(label => label.toLowerCase());
+
+  return published
+    .filter(other => other.slug !== project.slug)
+    .map((other, order) => ({
+      other,
+      order,
+      score: (other.categories || []).filter(slug => categories.includes(slug)).length * RELATED_WEIGHTS.category +
+        (other.industries || []).filter(label => industries.includes(label.toLowerCase())).length * RELATED_WEIGHTS.industry
+    }))
+    .sort((a, b) => (b.score - a.score) || (a.order - b.order))
+    .slice(0, RELATED_COUNT)
+    .map(entry => entry.other);
+}
+
+/**
+ * Renders a work-grid card for a published project, with the markup and data
+ * attributes createCard() in js/projects.js produces (card-hover.js drives both)
+ * @param {Object} project - Manifest entry
+ * @param {Map<string, string>} categoryLabels - Category slug → label
+ * @param {string} href - The project's page in this page's language (or English)
+ * @param {Object} images - images.json
+ * @returns {string[]} Lines
+ */
+function renderCard(project, categoryLabels, href, images) {
+  const media = project.media;
+  const tag = (className, slug) => '<span class="' + className + '" data-i18n="category.' + escapeAttribute(slug) + '">' +
+    escapeHtml(categoryLabels.get(slug) || slug) + '</span>';
+  const categories = project.categories || [];
+  const title = escapeHtml(project.title);
+  const image = (role, src, alt) => renderImage([
+    ['class', role + ' img-cover'],
+    ['src', src],
+    ['alt', alt],
+    ['loading', 'lazy'],
+    ['width', CARD_IMAGE_SIZE],
+    ['height', CARD_IMAGE_SIZE]
+  ], SIZES.card, images);
+  const frame = media.video
+    ? [
+      '<video class="card-video" poster="../' + escapeAttribute(media.cover) + '" muted playsinline loop preload="metadata">',
+      INDENT + '<source src="../' + escapeAttribute(media.video) + '" type="video/mp4">',
+      '</video>'
+    ]
+    : image('card-cover', media.cover, media.alt || project.title)
+      .concat(media.hover ? image('card-hover', media.hover, project.title + ' detail') : []);
+  const frames = media.frames && media.frames.length
+    ? ['<div class="card-frames" aria-hidden="true">']
+      .concat([].concat(...media.frames.map(src => image('card-frame', src, ''))).map(line => INDENT + line), '</div>')
+    : [];
+  const dataMedia = (media.mode ? ' data-media="' + escapeAttribute(media.mode) + '"' : '') +
+    (media.frameRate ? ' data-frame-rate="' + escapeAttribute(String(media.frameRate)) + '"' : '') +
+    ['parallax', 'tilt'].filter(key => typeof media[key] === 'number')
+      .map(key => ' data-' + key + '="' + media[key] + '"').join('');
+
+  return [
+    '<a href="' + escapeAttribute(href) + '" class="project-card anim-fade-up' + (media.video ? ' has-video' : '') + '"' +
+      ' data-slug="' + escapeAttribute(project.slug) + '" data-categories="' + escapeAttribute((project.categories || []).join(' ')) + '"' + dataMedia + '>',
+    INDENT + '<div class="card-image-wrapper">',
+    INDENT + INDENT + '<div class="card-image aspect-square"' + renderPlaceholder(media.cover, images) + '>'
+  ].concat(
+    frame.concat(frames).map(line => INDENT + INDENT + INDENT + line),
+    [
+      INDENT + INDENT + '</div>',
+      INDENT + '</div>',
+      INDENT + '<div class="card-pill card-pill-top"><span class="card-pill-text">' + title + '</span></div>',
+      INDENT + '<div class="card-pill card-pill-bottom">' + categories.map(slug => tag('card-pill-tag', slug)).join('') + '</div>',
+      INDENT + '<div class="card-info hide-desktop">',
+      INDENT + INDENT + '<h3 class="card-title">' + title + '</h3>',
+      INDENT + INDENT + '<div class="card-tags">' + categories.map(slug => tag('tag', slug)).join('') + '</div>',
+      INDENT + INDENT + '<p class="card-description">' + escapeHtml(project.description || '') + '</p>',
+      INDENT + INDENT + '<span class="card-link"><span data-i18n="card.viewProject">View project</span>' + ARROW_ICON + '</span>',
+      INDENT + '</div>',
+      '</a>'
+    ]
+  );
+}
+
+/**
+ * Renders the "Related work" grid
+ * @param {Object[]} related - From getRelated()
+ * @param {Object} context - { categoryLabels, images, … } (see renderPage)
+ * @param {string} language - Page language
+ * @returns {string}
+ */
+function renderRelated(related, context, language) {
+  return indent([].concat(...related.map(project =>
+    renderCard(project, context.categoryLabels, getLinkedPage(project.slug, language, context), context.images)
+  )), 5);
+}
+
+/**
+ * Looks up a js/i18n-strings.js string for a page language
+ * @param {string} language
+ * @param {string} key
+ * @param {string} fallback - English text
+ * @returns {string}
+ */
+function translate(language, key, fallback) {
+  const strings = STRINGS[language];
+  return strings && typeof strings[key] === 'string' ? strings[key] : fallback;
+}
+
+/**
+ * Bakes a language's strings into the elements marked data-i18n / data-i18n-attr,
+ * as js/i18n.js would in the browser (the markup keeps its attributes, so
+ * switching language in place still works)
+ * @param {string} html
+ * @param {string} language
+ * @returns {string}
+ */
+function localizeHtml(html, language) {
+  return html
+    .replace(/(<([a-z][a-z0-9]*)\b[^>]*\sdata-i18n="([^"]+)"[^>]*>)([^<]*)(<\/\2>)/g, (match, open, tag, key, text, close) =>
+      open + escapeHtml(translate(language, key, decodeEntities(text))) + close)
+    .replace(/<[a-z][a-z0-9]*\b[^>]*\sdata-i18n-attr="([^"]+)"[^>]*>/g, (openTag, pairs) =>
+      pairs.split(/\s+/).reduce((tag, pair) => {
+        const [name, key] = pair.split(':');
+        return tag.replace(new RegExp('(\\s' + name + '=")([^"]*)"'), (attribute, prefix, value) =>
+          prefix + escapeAttribute(translate(language, key, decodeEntities(value))) + '"');
+      }, openTag));
+}
+
+/**
+ * Decodes the entities escapeHtml()/escapeAttribute() produce
+ * @param {string} value
+ * @returns {string}
+ */
+function decodeEntities(value) {
+  return value.replace(/&quot;/g, '"').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+/**
+ * Returns a project page's file name: <slug>.html, or <slug>.<language>.html
+ * for a translation
+ * @param {string} slug
+ * @param {string} language
+ * @returns {string}
+ */
+function getPageFile(slug, language) {
+  return slug + (language === DEFAULT_LANGUAGE ? '' : '.' + language) + '.html';
+}
+
+/**
+ * Picks which page a link to another project should open from a page in this
+ * language: its translation when one was built, otherwise the English page
+ * @param {string} slug
+ * @param {string} language
+ * @param {Object} context - { titles, … } (see renderPage)
+ * @returns {string} File name
+ */
+function getLinkedPage(slug, language, context) {
+  const translated = getPageFile(slug, language);
+  return context.titles.has(translated) ? translated : getPageFile(slug, DEFAULT_LANGUAGE);
+}
+
+/**
+ * Lists, on a translated page, the projects that have a page in its language,
+ * so js/project-nav.js can keep filtered prev/next links in that language
+ * (nothing on English pages)
+ * @param {string} language
+ * @param {Object} context - { titles, published, … } (see renderPage)
+ * @returns {string} Attribute (with its leading space) or ''
+ */
+function renderNavTranslations(language, context) {
+  if (language === DEFAULT_LANGUAGE) return '';
+  const slugs = context.published
+    .filter(project => context.titles.has(getPageFile(project.slug, language)))
+    .map(project => project.slug);
+  return ' data-translated="' + escapeAttribute(slugs.join(' ')) + '"';
+}
+
+/**
+ * Renders the hreflang alternates for a project that has translations
+ * (nothing when there's only English)
+ * @param {Object} project - Manifest entry
+ * @param {Object} context - { titles, site, … } (see renderPage)
+ * @returns {string} Lines to append after the canonical link
+ */
+function renderAlternates(project, context) {
+  const languages = [DEFAULT_LANGUAGE].concat(Object.keys(TRANSLATIONS))
+    .filter(language => context.titles.has(getPageFile(project.slug, language)));
+  if (languages.length < 2) return '';
+
+  const link = (hreflang, language) => '\n' + INDENT + '<link rel="alternate" hreflang="' + hreflang + '" href="' +
+    escapeAttribute(absoluteUrl(context.site, PAGES_PATH + getPageFile(project.slug, language))) + '">';
+  return languages.map(language => link(language, language)).join('') + link('x-default', DEFAULT_LANGUAGE);
+}
+
+/**
+ * Fills {{placeholders}} in the template. Unknown placeholders are an error so a
+ * template typo can't ship as literal braces.
+ * @param {string} template
+ * @param {Object<string, string>} values
+ * @returns {string}
+ */
+function fillTemplate(template, values) {
+  return template.replace(/\{\{(\w+)\}\}/g, (match, key) => {
+    if (!(key in values)) {
+      throw new Error('templates/project.html: unknown placeholder ' + match);
+    }
+    return values[key];
+  });
+}
+
+/**
+ * Wraps plain-text paragraphs as escaped paragraph blocks
+ * @param {string[]} paragraphs
+ * @returns {Object[]}
+ */
+function toBlocks(paragraphs) {
+  return paragraphs.map(paragraph => ({ type: 'paragraph', html: escapeHtml(paragraph) }));
+}
+
+/**
+ * Returns where a project's copy lives, relative to the site root:
+ * content/[<language>/]<page.content> or texts/[<language>/]<page.text>. A
+ * translation without a content/<language>/ file comes from its text file,
+ * even when the English copy is in content/.
+ * @param {Object} project - Manifest entry with a `page` block
+ * @param {string} [language] - Default English
+ * @returns {string}
+ */
+function getSourcePath(project, language = DEFAULT_LANGUAGE) {
+  const subdirectory = language === DEFAULT_LANGUAGE ? '' : language + '/';
+  const page = project.page;
+  if (page.content) {
+    const contentSource = CONTENT_PATH + subdirectory + page.content;
+    if (language === DEFAULT_LANGUAGE || fs.existsSync(path.join(ROOT, contentSource))) {
+      return contentSource;
+    }
+  }
+  return TEXTS_PATH + subdirectory + page.text;
+}
+
+/**
+ * Lists the languages a project's case study has been translated into
+ * @param {Object} project - Manifest entry with a `page` block
+ * @returns {string[]}
+ */
+function getTranslations(project) {
+  return Object.keys(TRANSLATIONS).filter(language => fs.existsSync(path.join(ROOT, getSourcePath(project, language))));
+}
+
+/**
+ * Loads a project's copy from content/<page.content> (imported from Word) or
+ * from its text file, in the same shape either way
+ * @param {Object} project - Manifest entry with a `page` block
+ * @param {string} [language] - Load the translation (default English)
+ * @returns {{source: string, details: Object[], title: string, tagline: string, overview: Object[], sections: Object[]}}
+ */
+function loadContent(project, language = DEFAULT_LANGUAGE) {
+  const page = project.page;
+  const source = getSourcePath(project, language);
+
+  if (source.startsWith(CONTENT_PATH)) {
+    const content = JSON.parse(fs.readFileSync(path.join(ROOT, source), 'utf8'));
+    return Object.assign({ source }, content);
+  }
+
+  const text = parseText(fs.readFileSync(path.join(ROOT, source), 'utf8'), source, language);
+  return {
+    source,
+    details: text.details,
+    title: text.title,
+    tagline: text.tagline,
+    overview: toBlocks(text.overview),
+    sections: text.sections.map(section => ({ heading: section.heading, blocks: toBlocks(section.paragraphs) }))
+  };
+}
+
+/**
+ * Renders one project page
+ * @param {Object} project - Manifest entry (with a `page` block)
+ * @param {Object} content - From loadContent()
+ * @param {Object} neighbours - { prev, next } manifest entries for project-nav
+ * @param {Object} context - { template, categoryLabels, titles, published, images, site }; titles
+ *   maps each page file that will be built (<slug>.html, <slug>.sr.html) to its title
+ * @param {string} [language] - Page language (default English)
+ * @returns {string}
+ */
+function renderPage(project, content, neighbours, context, language = DEFAULT_LANGUAGE) {
+  const page = project.page;
+  const imageDir = path.posix.dirname(project.media.cover);
+  const prevPage = getLinkedPage(neighbours.prev.slug, language, context);
+  const nextPage = getLinkedPage(neighbours.next.slug, language, context);
+  const isTranslation = language !== DEFAULT_LANGUAGE;
+  const overview = content.overview.length ? content.overview : toBlocks([content.tagline]);
+
+  const html = fillTemplate(context.template, {
+    language,
+    source: escapeHtml(content.source),
+    slug: escapeAttribute(project.slug),
+    title: escapeAttribute(content.title),
+    // <title> and og/twitter titles: the card title, which can be shorter than the <h1>
+    // ("Disrupting Drinks" / "Disrupting Drinks Report"); a translation uses its own
+    documentTitle: escapeAttribute((!isTranslation && project.title) || content.title),
+    // The manifest's description is English; a translation uses its own tagline
+    description: escapeAttribute((!isTranslation && page.description) || content.tagline),
+    imageDir,
+    heroAlt: escapeAttribute(page.hero || content.title),
+    hero: indent(renderImage([
+      ['src', imageDir + '/hero.jpg'],
+      ['alt', page.hero || content.title],
+      ['loading', 'eager'],
+      ['width', 1600],
+      ['height', 900]
+    ], SIZES.hero, context.images), 3),
+    heroPlaceholder: renderPlaceholder(imageDir + '/hero.jpg', context.images),
+    siteTitle: escapeAttribute(context.site.title),
+    url: escapeAttribute(absoluteUrl(context.site, PAGES_PATH + getPageFile(project.slug, language))),
+    alternates: renderAlternates(project, context),
+    image: escapeAttribute(absoluteUrl(context.site, imageDir + '/hero.jpg')),
+    primaryTags: renderTags((page.tags || project.categories).map(slug => ({
+      key: 'category.' + slug,
+      label: context.categoryLabels.get(slug) || slug
+    }))),
+    secondaryTags: renderTags((project.industries || []).map(label => ({ key: 'industry.' + slugify(label), label }))),
+    overview: indent(renderBlocks(overview, ''), 5),
+    details: renderDetails(content.details, language),
+    content: renderContent(content.sections, imageDir, page.gallery || [], context.images),
+    structuredData: renderStructuredData(project, content, context.site, language),
+    related: renderRelated(getRelated(project, context.published), context, language),
+    robots: project.status === STATUS_PUBLISHED ? 'index, follow' : 'noindex, nofollow',
+    prevHref: escapeAttribute(prevPage),
+    prevTitle: escapeHtml(context.titles.get(prevPage)),
+    nextHref: escapeAttribute(nextPage),
+    nextTitle: escapeHtml(context.titles.get(nextPage)),
+    navTranslations: renderNavTranslations(language, context)
+  });
+
+  return isTranslation ? localizeHtml(html, language) : html;
+}
+
+/**
+ * Prev/next for a page: published pages form one loop in manifest order; a
+ * draft links to the published projects around its manifest position without
+ * joining the loop
+ * @param {Object} project - Manifest entry
+ * @param {Object[]} projects - Entries that get a page, in manifest order
+ * @param {Object[]} published - The published ones among them
+ * @returns {{prev: Object, next: Object}}
+ */
+function getNeighbours(project, projects, published) {
+  const position = projects.indexOf(project);
+  const before = projects.slice(0, position).filter(entry => published.includes(entry));
+  const index = before.length; // where the project sits (or would sit) in the loop
+  const isInLoop = published.includes(project);
+  return {
+    prev: published[(index - 1 + published.length) % published.length],
+    next: published[(index + (isInLoop ? 1 : 0)) % published.length]
+  };
+}
+
+/**
+ * Replaces a generated block in a hand-written page: the lines between
+ * <!-- build:<name> --> and <!-- /build:<name> -->, indented like the markers
+ * @param {string} html
+ * @param {string} name
+ * @param {string[]} lines - Unindented
+ * @returns {string}
+ */
+function fillBlock(html, name, lines) {
+  const start = '<!-- build:' + name + ' -->';
+  const end = '<!-- /build:' + name + ' -->';
+  const pattern = new RegExp('^([ \\t]*)' + start + '\\n[\\s\\S]*?^[ \\t]*' + end + '$', 'm');
+  const match = pattern.exec(html);
+  if (!match) {
+    throw new Error('no ' + start + ' … ' + end + ' block');
+  }
+  const block = [start].concat(lines, end).map(line => (line ? match[1] + line : line)).join('\n');
+  return html.slice(0, match.index) + block + html.slice(match.index + match[0].length);
+}
+
+/**
+ * Renders the plain project list index.html shows without JavaScript (and
+ * js/projects.js falls back to when the manifest fails to load)
+ * @param {Object[]} published - Manifest entries, in grid order
+ * @param {Map<string, string>} categoryLabels - Category slug → label
+ * @returns {string[]} Lines
+ */
+function renderProjectList(published, categoryLabels) {
+  return ['<ul class="project-list">'].concat(
+    published.map(project => INDENT + '<li><a href="' +
+      escapeAttribute(PAGES_PATH + getPageFile(project.slug, DEFAULT_LANGUAGE)) + '">' +
+      escapeHtml(project.title) + '</a> <span class="project-list-tags">' +
+      escapeHtml((project.categories || []).map(slug => categoryLabels.get(slug) || slug).join(', ')) + '</span></li>'),
+    ['</ul>']
+  );
+}
+
+/**
+ * Renders a hand-written page's hreflang alternates: the page itself, and the
+ * same URL with ?lang= for each language js/i18n-strings.js translates it into
+ * @param {Object} site - Manifest `site` block
+ * @param {string} sitePath - e.g. 'about.html' ('' for the home page)
+ * @returns {string[]} Lines
+ */
+function renderStaticAlternates(site, sitePath) {
+  const url = absoluteUrl(site, sitePath);
+  const link = (hreflang, href) => '<link rel="alternate" hreflang="' + hreflang + '" href="' + escapeAttribute(href) + '">';
+  return [link(DEFAULT_LANGUAGE, url)]
+    .concat(Object.keys(STRINGS).map(language => link(language, url + '?' + LANGUAGE_PARAM + '=' + language)))
+    .concat(link('x-default', url));
+}
+
+/**
+ * Writes (or, with --check, compares) one generated file
+ * @param {string} filePath
+ * @param {string} contents
+ * @param {string} name - As printed
+ * @param {boolean} checkOnly
+ * @returns {boolean} Whether it was out of date
+ */
+function updateFile(filePath, contents, name, checkOnly) {
+  const current = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+  if (current === contents) {
+    console.log('  ' + name + ' (unchanged)');
+    return false;
+  }
+
+  if (checkOnly) {
+    console.log('! ' + name + ' is out of date');
+  } else {
+    fs.writeFileSync(filePath, contents);
+    console.log('✓ ' + name + (current === null ? ' (new)' : ''));
+  }
+  return true;
+}
+
+/**
+ * Builds every page, then the generated blocks of the hand-written pages; prints one line
+ * per file and returns the number of files that were (or, with --check, would
+ * be) changed
+ * @param {boolean} checkOnly - Don't write, just report stale files
+ * @returns {{changed: number, failed: number}}
+ */
+function build(checkOnly) {
+  const manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+  const template = fs.readFileSync(TEMPLATE_PATH, 'utf8');
+  const categoryLabels = new Map((manifest.categories || []).map(category => [category.slug, category.label]));
+  const projects = (manifest.projects || []).filter(project =>
+    (project.status === STATUS_PUBLISHED || project.status === STATUS_DRAFT) && project.page
+  );
+  const published = projects.filter(project => project.status === STATUS_PUBLISHED);
+  // One page per project, plus one per translation of its case study
+  const pages = [].concat(...projects.map(project =>
+    [DEFAULT_LANGUAGE].concat(getTranslations(project))
+      .map(language => ({ project, language, file: getPageFile(project.slug, language) }))
+  ));
+  const contents = new Map(); // page file → content
+  const errors = new Map();
+  pages.forEach(({ project, language, file }) => {
+    try {
+      contents.set(file, loadContent(project, language));
+    } catch (error) {
+      errors.set(file, error);
+    }
+  });
+  // Neighbour titles fall back to the card title when a project's copy failed to
+  // load; a translation that failed to load isn't linked at all
+  const titles = new Map();
+  pages.forEach(({ project, language, file }) => {
+    if (contents.has(file)) {
+      titles.set(file, contents.get(file).title);
+    } else if (language === DEFAULT_LANGUAGE) {
+      titles.set(file, project.title);
+    }
+  });
+  // Optional: until scripts/build-images.js has run, every image stays a plain <img>
+  const images = fs.existsSync(IMAGES_INDEX_PATH) ? JSON.parse(fs.readFileSync(IMAGES_INDEX_PATH, 'utf8')) : {};
+  const context = { template, categoryLabels, titles, published, images, site: manifest.site };
+  let changed = 0;
+  let failed = 0;
+
+  pages.forEach(({ project, language, file }) => {
+    const neighbours = getNeighbours(project, projects, published);
+    const outputPath = path.join(PAGES_DIR, file);
+    const name = path.basename(file, '.html');
+
+    let html;
+    try {
+      if (errors.has(file)) {
+        throw errors.get(file);
+      }
+      html = renderPage(project, contents.get(file), neighbours, context, language);
+    } catch (error) {
+      failed++;
+      console.error('✗ ' + name + ': ' + error.message);
+      return;
+    }
+
+    if (updateFile(outputPath, html, name, checkOnly)) {
+      changed++;
+    }
+  });
+
+  const blocks = {
+    alternates: page => renderStaticAlternates(manifest.site, page.path),
+    // Published pages in grid (manifest) order; coming-soon cards have no page to link
+    'project-list': () => renderProjectList(published, categoryLabels),
+    person: () => renderPersonBlock(manifest.site)
+  };
+  STATIC_PAGES.forEach(page => {
+    const filePath = path.join(ROOT, page.file);
+    try {
+      const html = page.blocks.reduce((current, name) => fillBlock(current, name, blocks[name](page)),
+        fs.readFileSync(filePath, 'utf8'));
+      if (updateFile(filePath, html, page.file, checkOnly)) {
+        changed++;
+      }
+    } catch (error) {
+      failed++;
+      console.error('✗ ' + page.file + ': ' + error.message);
+    }
+  });
+
+  return { changed, failed };
+}
+
+if (require.main === module) {
+  const checkOnly = process.argv.includes('--check');
+  const { changed, failed } = build(checkOnly);
+  if (failed || (checkOnly && changed)) {
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  parseText, parseDetails, matchHeading, loadContent, getTranslations, getPageFile, escapeHtml, escapeAttribute,
+  absoluteUrl, OVERVIEW_HEADING, STATUS_PUBLISHED, PAGES_PATH, build
+};
@@ -0,0 +1,549 @@
+#!/usr/bin/env node
+/**
+ * Site Integrity Checker
+ * Crawls every HTML page and projects.json locally and reports what's broken
+ * or inconsistent. Exits 1 when there are errors (or warnings, with --strict).
+ *
+ * Usage:
+ *   node scripts/check-site.js            Report; exit 1 on errors
+ *   node scripts/check-site.js --strict   Exit 1 on warnings too
+ *
+ * Errors:   missing images/videos, broken internal links and #fragments,
+ *           prev/next chains that don't form one closed loop over the published
+ *           projects, card categories (or the manifest's page.tags) that don't
+ *           match the page's .project-tags--primary, published cards without categories or a
+ *           page, unknown project statuses, missing flipbook frames, media.mode
+ *           without its video/frames, <img> without alt, JSON-LD
+ *           that doesn't parse or lacks required fields (Person on about/contact,
+ *           CreativeWork + BreadcrumbList on project pages), a missing or
+ *           placeholder site.url
+ * Warnings: byte-identical (placeholder) assets, stray non-media files in
+ *           assets/, <img> without width/height
+ * @module check-site
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { VARIANT_DIR } = require('../js/responsive-images');
+
+// Configuration constants
+const ROOT = path.resolve(__dirname, '..');
+const MANIFEST_PATH = path.join(ROOT, 'projects.json');
+const ASSETS_DIR = path.join(ROOT, 'assets');
+const PAGES_DIR = path.join(ROOT, 'projects');
+// Generated/source folders whose HTML isn't served as-is
+const SKIP_DIRS = ['.git', 'node_modules', 'templates', 'texts', 'content', 'scripts'];
+const MEDIA_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.avif', '.gif', '.svg', '.mp4', '.webm'];
+const STATUS_PUBLISHED = 'published';
+const STATUSES = [STATUS_PUBLISHED, 'coming-soon', 'draft'];
+// media.mode → what the card needs for it (see js/card-hover.js)
+const MEDIA_MODES = { image: null, video: 'video', scrub: 'video', flipbook: 'frames' };
+const INDEX_PAGE = 'index.html';
+const PLACEHOLDER_HOSTS = ['example.com', 'www.example.com'];
+const FILTER_HASH_PATTERN = /^[a-z0-9-]+([,+][a-z0-9-]+)*$/; // #web, #web,branding, #web+branding
+// JSON-LD: properties each top-level @type (or breadcrumb ListItem) must have
+// (dotted = nested), and the types a page needs
+const SCHEMA_CONTEXT = 'https://schema.org';
+const SCHEMA_REQUIRED_FIELDS = {
+  Person: ['@id', 'name', 'url', 'jobTitle', 'email', 'sameAs'],
+  CreativeWork: ['name', 'description', 'url', 'image', 'creator.name', 'sourceOrganization.name'],
+  BreadcrumbList: ['itemListElement'],
+  ListItem: ['position', 'name', 'item']
+};
+const SCHEMA_PAGE_TYPES = [
+  { pattern: /^(about|contact)\.html$/, types: ['Person'] },
+  { pattern: /^projects\/[^/]+\.html$/, types: ['CreativeWork', 'BreadcrumbList'] }
+];
+const ERROR = 'error';
+const WARNING = 'warning';
+
+/* --------------------------------------------------------------------------
+   Helpers
+   -------------------------------------------------------------------------- */
+
+/**
+ * Lists files under a directory, recursively
+ * @param {string} dir
+ * @returns {string[]} Absolute paths
+ */
+function walk(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    if (SKIP_DIRS.includes(entry.name)) return [];
+    const fullPath = path.join(dir, entry.name);
+    return entry.isDirectory() ? walk(fullPath) : [fullPath];
+  });
+}
+
+/**
+ * Path relative to the repo root, with forward slashes
+ * @param {string} filePath
+ * @returns {string}
+ */
+function relative(filePath) {
+  return path.relative(ROOT, filePath).split(path.sep).join('/');
+}
+
+/**
+ * Decodes the few entities that appear in attribute values
+ * @param {string} value
+ * @returns {string}
+ */
+function decodeEntities(value) {
+  return value
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, '\'')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Parses a page into its start tags (comments and script/style bodies removed)
+ * @param {string} html
+ * @returns {{name: string, attributes: Object}[]}
+ */
+function parseTags(html) {
+  const source = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/(<(script|style)\b[^>]*>)[\s\S]*?(<\/\2>)/gi, '$1$3');
+  const tags = [];
+  const tagPattern = /<([a-zA-Z][\w-]*)(\s[^>]*)?>/g;
+  let match;
+
+  while ((match = tagPattern.exec(source))) {
+    const attributes = {};
+    (match[2] || '').replace(/([^\s=/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g, (all, key, double, single, bare) => {
+      const value = double !== undefined ? double : single !== undefined ? single : bare;
+      attributes[key.toLowerCase()] = value === undefined ? '' : decodeEntities(value);
+    });
+    tags.push({ name: match[1].toLowerCase(), attributes });
+  }
+  return tags;
+}
+
+/**
+ * Whether a URL points inside the site
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isInternal(url) {
+  return !/^([a-z][a-z0-9+.-]*:|\/\/)/i.test(url);
+}
+
+/**
+ * Resolves an internal URL to a file and fragment ("/" → index.html)
+ * @param {string} url
+ * @param {string} pagePath - Absolute path of the page it appears on
+ * @returns {{file: string, fragment: string}}
+ */
+function resolveUrl(url, pagePath) {
+  const [withoutHash, fragment = ''] = url.split('#');
+  const pathname = decodeURIComponent(withoutHash.split('?')[0]);
+  let file = !pathname
+    ? pagePath
+    : pathname.startsWith('/')
+      ? path.join(ROOT, pathname)
+      : path.resolve(path.dirname(pagePath), pathname);
+  if (pathname.endsWith('/') || (fs.existsSync(file) && fs.statSync(file).isDirectory())) {
+    file = path.join(file, INDEX_PAGE);
+  }
+  return { file, fragment: decodeURIComponent(fragment) };
+}
+
+/* --------------------------------------------------------------------------
+   Checks
+   -------------------------------------------------------------------------- */
+
+/**
+ * Records a finding
+ * @param {Object[]} findings - Accumulator
+ * @param {string} level - 'error' or 'warning'
+ * @param {string} file - Repo-relative path
+ * @param {string} message
+ */
+function addFinding(findings, level, file, message) {
+  findings.push({ level, file, message });
+}
+
+/**
+ * Counts findings of one level
+ * @param {Object[]} findings
+ * @param {string} level
+ * @returns {number}
+ */
+function countFindings(findings, level) {
+  return findings.filter(finding => finding.level === level).length;
+}
+
+/**
+ * Prints findings grouped by file, errors first
+ * @param {Object[]} findings
+ */
+function printFindings(findings) {
+  const files = [...new Set(findings.map(finding => finding.file))].sort();
+  files.forEach(file => {
+    console.log('\n' + file);
+    findings
+      .filter(finding => finding.file === file)
+      .sort((a, b) => (a.level === b.level ? 0 : a.level === ERROR ? -1 : 1))
+      .forEach(finding => console.log('  ' + (finding.level === ERROR ? '✗' : '!') + ' ' + finding.message));
+  });
+  console.log('\n' + countFindings(findings, ERROR) + ' errors, ' + countFindings(findings, WARNING) + ' warnings');
+}
+
+/**
+ * Checks one page's links, media and images
+ * @param {Object} page - { path, tags }
+ * @param {Map<string, Object>} pagesByPath - Absolute path → page
+ * @param {Object[]} report - Findings
+ */
+function checkPage(page, pagesByPath, report) {
+  const file = relative(page.path);
+  const reported = new Set();
+  const addOnce = (level, message) => {
+    if (reported.has(message)) return;
+    reported.add(message);
+    addFinding(report, level, file, message);
+  };
+
+  page.tags.forEach(tag => {
+    const { name, attributes } = tag;
+    const urls = [];
+
+    if (name === 'a' || name === 'link' || name === 'area') {
+      if (attributes.href !== undefined) urls.push({ url: attributes.href, isMedia: false });
+    }
+    ['src', 'poster'].forEach(key => {
+      if (attributes[key] !== undefined && name !== 'iframe') urls.push({ url: attributes[key], isMedia: true });
+    });
+    if (attributes.srcset) {
+      attributes.srcset.split(',').forEach(candidate => {
+        const url = candidate.trim().split(/\s+/)[0];
+        if (url) urls.push({ url, isMedia: true });
+      });
+    }
+
+    urls.forEach(({ url, isMedia }) => {
+      if (!url.trim()) {
+        addOnce(ERROR, '<' + name + '> has an empty ' + (isMedia ? 'src' : 'href'));
+        return;
+      }
+      if (!isInternal(url)) return;
+
+      const target = resolveUrl(url, page.path);
+      if (!fs.existsSync(target.file)) {
+        addOnce(ERROR, (isMedia ? 'missing ' + (name === 'img' ? 'image' : 'media') : 'broken link') + ': ' + url);
+        return;
+      }
+
+      const targetPage = pagesByPath.get(target.file);
+      if (!target.fragment || !targetPage) return;
+      const isFilterHash = path.basename(target.file) === INDEX_PAGE && FILTER_HASH_PATTERN.test(target.fragment);
+      if (!isFilterHash && !targetPage.ids.has(target.fragment)) {
+        addOnce(ERROR, 'broken link: ' + url + ' (no id="' + target.fragment + '")');
+      }
+    });
+
+    if (name === 'img') {
+      const label = attributes.src || attributes.srcset || '(no src)';
+      if (attributes.alt === undefined) {
+        addOnce(ERROR, '<img> without alt: ' + label);
+      }
+      if (attributes.width === undefined || attributes.height === undefined) {
+        addOnce(WARNING, '<img> without width/height (layout shift): ' + label);
+      }
+    }
+  });
+}
+
+/**
+ * Reads a dotted property path ("creator.name")
+ * @param {Object} node
+ * @param {string} fieldPath
+ * @returns {*}
+ */
+function getField(node, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), node);
+}
+
+/**
+ * Validates a page's JSON-LD blocks: each parses, uses the schema.org context,
+ * every typed node has its required fields (breadcrumb items in order, with
+ * absolute URLs) and the page has the types it should
+ * @param {Object} page - { path, jsonLd }
+ * @param {Object[]} report - Findings
+ */
+function checkStructuredData(page, report) {
+  const file = relative(page.path);
+  const expected = SCHEMA_PAGE_TYPES.filter(rule => rule.pattern.test(file)).flatMap(rule => rule.types);
+  const found = new Set();
+
+  page.jsonLd.forEach((source, blockIndex) => {
+    const label = 'JSON-LD block ' + (blockIndex + 1);
+    let data;
+    try {
+      data = JSON.parse(source);
+    } catch (error) {
+      addFinding(report, ERROR, file, label + ' doesn\'t parse: ' + error.message);
+      return;
+    }
+
+    const roots = Array.isArray(data) ? data : [data];
+    roots.forEach(root => {
+      if (root['@context'] !== SCHEMA_CONTEXT) {
+        addFinding(report, ERROR, file, label + ': @context should be ' + SCHEMA_CONTEXT);
+      }
+    });
+
+    const requireFields = (node, type) => {
+      (SCHEMA_REQUIRED_FIELDS[type] || []).forEach(field => {
+        const value = getField(node, field);
+        if (value === undefined || value === null || value === '' || (Array.isArray(value) && !value.length)) {
+          addFinding(report, ERROR, file, label + ': ' + type + ' without ' + field);
+        }
+      });
+    };
+
+    // Top-level nodes: the roots themselves, or the members of their @graph
+    const nodes = roots.flatMap(root => (Array.isArray(root['@graph']) ? root['@graph'] : [root]));
+    nodes.forEach(node => {
+      const type = node['@type'];
+      found.add(type);
+      requireFields(node, type);
+
+      if (type === 'BreadcrumbList' && Array.isArray(node.itemListElement)) {
+        node.itemListElement.forEach((item, index) => {
+          requireFields(item, 'ListItem');
+          if (item.position !== index + 1) {
+            addFinding(report, ERROR, file, label + ': breadcrumb ' + (index + 1) + ' has position ' + item.position);
+          }
+          if (item.item && isInternal(String(item.item))) {
+            addFinding(report, ERROR, file, label + ': breadcrumb item URL should be absolute: ' + item.item);
+          }
+        });
+      }
+    });
+  });
+
+  expected.filter(type => !found.has(type)).forEach(type => {
+    addFinding(report, ERROR, file, 'no ' + type + ' JSON-LD');
+  });
+}
+
+/**
+ * Checks the manifest: card media, categories and that published cards have pages
+ * @param {Object} manifest
+ * @param {Map<string, Object>} pagesByPath
+ * @param {Object[]} report - Findings
+ */
+function checkManifest(manifest, pagesByPath, report) {
+  const file = relative(MANIFEST_PATH);
+  const categoryLabels = new Map((manifest.categories || []).map(category => [category.slug, category.label]));
+  const slugs = new Set();
+
+  const siteUrl = manifest.site && manifest.site.url;
+  if (!siteUrl) {
+    addFinding(report, ERROR, file, 'no site.url (needed for canonical/OG URLs, sitemap and feeds)');
+  } else if (PLACEHOLDER_HOSTS.includes(new URL(siteUrl).hostname)) {
+    addFinding(report, ERROR, file, 'site.url is still the placeholder ' + siteUrl + '; set the production domain');
+  }
+
+  (manifest.projects || []).forEach(project => {
+    const name = project.slug || project.title || '(unnamed project)';
+    if (slugs.has(project.slug)) {
+      addFinding(report, ERROR, file, name + ': duplicate slug');
+    }
+    slugs.add(project.slug);
+
+    const media = project.media || {};
+    ['cover', 'hover', 'video'].forEach(key => {
+      if (media[key] && !fs.existsSync(path.join(ROOT, media[key]))) {
+        addFinding(report, ERROR, file, name + ': missing ' + key + ' ' + media[key]);
+      }
+    });
+    (media.frames || []).forEach(frame => {
+      if (!fs.existsSync(path.join(ROOT, frame))) {
+        addFinding(report, ERROR, file, name + ': missing frame ' + frame);
+      }
+    });
+    if (media.mode && !(media.mode in MEDIA_MODES)) {
+      addFinding(report, ERROR, file, name + ': unknown media.mode "' + media.mode + '" (' +
+        Object.keys(MEDIA_MODES).join(', ') + ')');
+    } else if (media.mode && MEDIA_MODES[media.mode] && !(media[MEDIA_MODES[media.mode]] || []).length) {
+      addFinding(report, ERROR, file, name + ': media.mode "' + media.mode + '" needs media.' + MEDIA_MODES[media.mode]);
+    }
+    if (!media.cover) {
+      addFinding(report, ERROR, file, name + ': no cover image');
+    }
+
+    (project.categories || []).concat((project.page && project.page.tags) || []).forEach(slug => {
+      if (!categoryLabels.has(slug)) {
+        addFinding(report, ERROR, file, name + ': unknown category "' + slug + '"');
+      }
+    });
+
+    if (!STATUSES.includes(project.status)) {
+      addFinding(report, ERROR, file, name + ': unknown status "' + project.status + '" (' + STATUSES.join(', ') + ')');
+    }
+    if (project.status !== STATUS_PUBLISHED) return;
+
+    if (!(project.categories || []).length) {
+      addFinding(report, ERROR, file, name + ': published card has no categories');
+    }
+
+    const pagePath = path.join(PAGES_DIR, project.slug + '.html');
+    const page = pagesByPath.get(pagePath);
+    if (!page) {
+      addFinding(report, ERROR, file, name + ': published card has no page ' + relative(pagePath));
+      return;
+    }
+
+    // page.tags, when set, deliberately differ from the card's categories
+    const expected = ((project.page && project.page.tags) || project.categories || [])
+      .map(slug => categoryLabels.get(slug) || slug);
+    if (page.primaryTags === null) {
+      addFinding(report, ERROR, relative(pagePath), 'no .project-tags--primary');
+    } else if (expected.slice().sort().join() !== page.primaryTags.slice().sort().join()) {
+      addFinding(report, ERROR, relative(pagePath), '.project-tags--primary [' + page.primaryTags.join(', ') +
+        '] doesn\'t match the manifest [' + expected.join(', ') + ']');
+    }
+  });
+}
+
+/**
+ * Follows rel="next" from the first published page: every published page must
+ * be visited exactly once before the chain returns to the start, and each
+ * page's rel="prev" must point back at the page before it
+ * @param {Object} manifest
+ * @param {Map<string, Object>} pagesByPath
+ * @param {Object[]} report - Findings
+ */
+function checkProjectLoop(manifest, pagesByPath, report) {
+  const published = (manifest.projects || [])
+    .filter(project => project.status === STATUS_PUBLISHED)
+    .map(project => path.join(PAGES_DIR, project.slug + '.html'))
+    .filter(pagePath => pagesByPath.has(pagePath));
+  if (!published.length) return;
+
+  const start = published[0];
+  const visited = [];
+  let current = start;
+
+  while (!visited.includes(current)) {
+    visited.push(current);
+    const page = pagesByPath.get(current);
+    if (!page.next) {
+      addFinding(report, ERROR, relative(current), 'no rel="next" project link');
+      return;
+    }
+    const next = resolveUrl(page.next, current).file;
+    const nextPage = pagesByPath.get(next);
+    if (!nextPage || !published.includes(next)) {
+      addFinding(report, ERROR, relative(current), 'rel="next" points outside the published project pages: ' + page.next);
+      return;
+    }
+    if (!nextPage.prev || resolveUrl(nextPage.prev, next).file !== current) {
+      addFinding(report, ERROR, relative(next), 'rel="prev" should point back to ' + path.basename(current) +
+        ' (its rel="next" leads here)');
+    }
+    current = next;
+  }
+
+  if (current !== start) {
+    addFinding(report, ERROR, relative(current), 'prev/next loop closes here instead of returning to ' + path.basename(start));
+  }
+  published.filter(pagePath => !visited.includes(pagePath)).forEach(pagePath => {
+    addFinding(report, ERROR, relative(pagePath), 'not reachable through the prev/next loop');
+  });
+}
+
+/**
+ * Checks assets/: identical files (placeholders copied per project) and files
+ * that aren't media (logs, notes, exports). Generated variants (responsive/)
+ * repeat their originals' duplicates, so only the originals are compared.
+ * @param {Object[]} report - Findings
+ */
+function checkAssets(report) {
+  if (!fs.existsSync(ASSETS_DIR)) return;
+  const byHash = new Map();
+
+  walk(ASSETS_DIR).forEach(filePath => {
+    if (!MEDIA_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) {
+      addFinding(report, WARNING, relative(filePath), 'stray non-media file in assets/');
+      return;
+    }
+    if (path.basename(path.dirname(filePath)) === VARIANT_DIR) return;
+    const hash = crypto.createHash('sha1').update(fs.readFileSync(filePath)).digest('hex');
+    if (!byHash.has(hash)) byHash.set(hash, []);
+    byHash.get(hash).push(filePath);
+  });
+
+  byHash.forEach(files => {
+    if (files.length < 2) return;
+    const names = files.map(filePath => path.relative(path.dirname(path.dirname(filePath)), filePath).split(path.sep).join('/'));
+    addFinding(report, WARNING, relative(path.dirname(path.dirname(files[0]))) + '/',
+      files.length + ' identical files (' + fs.statSync(files[0]).size + ' bytes), likely placeholders: ' + names.join(', '));
+  });
+}
+
+/**
+ * Loads every HTML page with what the checks need
+ * @returns {Map<string, Object>} Absolute path → { path, tags, ids, primaryTags, jsonLd, prev, next }
+ */
+function loadPages() {
+  const pages = new Map();
+  walk(ROOT).filter(filePath => filePath.endsWith('.html')).forEach(filePath => {
+    const html = fs.readFileSync(filePath, 'utf8');
+    const tags = parseTags(html);
+    const primary = /<div class="[^"]*\bproject-tags--primary\b[^"]*">([\s\S]*?)<\/div>/.exec(html);
+    const relLink = rel => {
+      const link = tags.find(tag => tag.name === 'a' && (tag.attributes.rel || '').split(/\s+/).includes(rel));
+      return link ? link.attributes.href : null;
+    };
+
+    pages.set(filePath, {
+      path: filePath,
+      tags,
+      ids: new Set(tags.filter(tag => tag.attributes.id).map(tag => tag.attributes.id)),
+      primaryTags: primary
+        ? [...primary[1].matchAll(/<span class="tag"[^>]*>([\s\S]*?)<\/span>/g)].map(match => decodeEntities(match[1].trim()))
+        : null,
+      jsonLd: [...html.matchAll(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/g)].map(match => match[1]),
+      prev: relLink('prev'),
+      next: relLink('next')
+    });
+  });
+  return pages;
+}
+
+/**
+ * Runs every check
+ * @returns {Object[]} Findings: [{ level, file, message }]
+ */
+function check() {
+  const report = [];
+  const pages = loadPages();
+  const manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+
+  pages.forEach(page => {
+    checkPage(page, pages, report);
+    checkStructuredData(page, report);
+  });
+  checkManifest(manifest, pages, report);
+  checkProjectLoop(manifest, pages, report);
+  checkAssets(report);
+  return report;
+}
+
+if (require.main === module) {
+  const strict = process.argv.includes('--strict');
+  const findings = check();
+  printFindings(findings);
+  if (countFindings(findings, ERROR) || (strict && countFindings(findings, WARNING))) {
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { check, parseTags };
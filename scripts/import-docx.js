@@ -0,0 +1,666 @@
+#!/usr/bin/env node
+/**
+ * Word Document Importer
+ * Reads the case-study .docx files in texts/Word Documents/ (unzipped and parsed
+ * locally, no dependencies) and writes structured copy to content/<page.content>
+ * for scripts/build-pages.js, then prints what changed since the last import.
+ *
+ * Usage:
+ *   node scripts/import-docx.js                 Import every project with a .docx
+ *   node scripts/import-docx.js alluel bakay    Import only these slugs
+ *   node scripts/import-docx.js --dry-run       Report changes without writing
+ *
+ * Only projects whose manifest entry has `page.content` (e.g. "alluel.json") are
+ * written, so content/ holds nothing a page doesn't use; for the others the
+ * report shows how the Word document differs from the text file the page is
+ * built from, and nothing is written. content/ starts out as the published
+ * copy, which is newer than the documents: update a document before importing
+ * it, and check with --dry-run.
+ *
+ * Document mapping:
+ *   "Client: … Industry: …" (bold labels) → details
+ *   Heading-styled paragraph              → title, then further headings → project-section-title
+ *   First plain paragraph after the title → tagline
+ *   Leading "The Story" / "The Approach" … → project-section-title
+ *   Paragraphs                            → project-section-text (bold → <strong>, italic → <em>, links → <a>)
+ *   Bulleted / numbered paragraphs        → <ul> / <ol>
+ * @module import-docx
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { parseDetails, matchHeading, loadContent, escapeHtml, escapeAttribute, OVERVIEW_HEADING } = require('./build-pages');
+
+// Configuration constants
+const ROOT = path.resolve(__dirname, '..');
+const MANIFEST_PATH = path.join(ROOT, 'projects.json');
+const DOCX_DIR = path.join(ROOT, 'texts', 'Word Documents');
+const CONTENT_DIR = path.join(ROOT, 'content');
+const ZIP_END_SIGNATURE = 0x06054b50;
+const ZIP_CENTRAL_SIGNATURE = 0x02014b50;
+const ZIP_LOCAL_SIGNATURE = 0x04034b50;
+const ZIP_STORED = 0;
+const ZIP_DEFLATED = 8;
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+const OFF_VALUES = ['0', 'false', 'off', 'none'];
+
+/* --------------------------------------------------------------------------
+   DOCX container: minimal ZIP reader
+   -------------------------------------------------------------------------- */
+
+/**
+ * Reads one file out of a ZIP archive
+ * @param {Buffer} archive - Whole .docx file
+ * @param {string} entryName - e.g. 'word/document.xml'
+ * @returns {Buffer|null} Null when the entry doesn't exist
+ */
+function readZipEntry(archive, entryName) {
+  // End of central directory: last 22 bytes + up to 64 KB of comment
+  let end = -1;
+  for (let i = archive.length - 22; i >= Math.max(0, archive.length - 65557); i--) {
+    if (archive.readUInt32LE(i) === ZIP_END_SIGNATURE) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) {
+    throw new Error('not a ZIP archive');
+  }
+
+  const entryCount = archive.readUInt16LE(end + 10);
+  let offset = archive.readUInt32LE(end + 16);
+
+  for (let i = 0; i < entryCount; i++) {
+    if (archive.readUInt32LE(offset) !== ZIP_CENTRAL_SIGNATURE) {
+      throw new Error('corrupt ZIP central directory');
+    }
+    const method = archive.readUInt16LE(offset + 10);
+    const compressedSize = archive.readUInt32LE(offset + 20);
+    const nameLength = archive.readUInt16LE(offset + 28);
+    const extraLength = archive.readUInt16LE(offset + 30);
+    const commentLength = archive.readUInt16LE(offset + 32);
+    const localOffset = archive.readUInt32LE(offset + 42);
+    const name = archive.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    if (name === entryName) {
+      if (archive.readUInt32LE(localOffset) !== ZIP_LOCAL_SIGNATURE) {
+        throw new Error('corrupt ZIP entry ' + name);
+      }
+      const dataStart = localOffset + 30 + archive.readUInt16LE(localOffset + 26) + archive.readUInt16LE(localOffset + 28);
+      const data = archive.subarray(dataStart, dataStart + compressedSize);
+      if (method === ZIP_STORED) return data;
+      if (method === ZIP_DEFLATED) return zlib.inflateRawSync(data);
+      throw new Error('unsupported ZIP compression method ' + method);
+    }
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return null;
+}
+
+/* --------------------------------------------------------------------------
+   XML: just enough to walk WordprocessingML
+   -------------------------------------------------------------------------- */
+
+/**
+ * Decodes XML character and entity references
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeXml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return XML_ENTITIES[entity] !== undefined ? XML_ENTITIES[entity] : match;
+  });
+}
+
+/**
+ * Parses XML into a tree of { name, attributes, children } nodes; text nodes
+ * are plain strings
+ * @param {string} xml
+ * @returns {Object} Root node
+ */
+function parseXml(xml) {
+  const root = { name: '#document', attributes: {}, children: [] };
+  const stack = [root];
+  const tokens = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<(\/?)([^\s/>]+)([^>]*?)(\/?)>|([^<]+)/g;
+  let match;
+
+  while ((match = tokens.exec(xml))) {
+    const parent = stack[stack.length - 1];
+    if (match[1] !== undefined) {
+      parent.children.push(match[1]);
+    } else if (match[3]) {
+      if (match[2]) {
+        stack.pop();
+      } else {
+        const attributes = {};
+        match[4].replace(/([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g, (all, key, double, single) => {
+          attributes[key] = decodeXml(double !== undefined ? double : single);
+        });
+        const node = { name: match[3], attributes, children: [] };
+        parent.children.push(node);
+        if (!match[5]) stack.push(node);
+      }
+    } else if (match[6] !== undefined) {
+      parent.children.push(decodeXml(match[6]));
+    }
+  }
+  return root;
+}
+
+/**
+ * Returns the first child element with the given name
+ * @param {Object} node
+ * @param {string} name
+ * @returns {Object|null}
+ */
+function child(node, name) {
+  return (node && node.children.find(item => typeof item !== 'string' && item.name === name)) || null;
+}
+
+/**
+ * Returns every child element with the given name
+ * @param {Object} node
+ * @param {string} name
+ * @returns {Object[]}
+ */
+function children(node, name) {
+  return node ? node.children.filter(item => typeof item !== 'string' && item.name === name) : [];
+}
+
+/**
+ * Whether a toggle property (<w:b/>, <w:i w:val="0"/>…) is on
+ * @param {Object|null} property
+ * @returns {boolean}
+ */
+function isOn(property) {
+  return !!property && !OFF_VALUES.includes(String(property.attributes['w:val']).toLowerCase());
+}
+
+/* --------------------------------------------------------------------------
+   WordprocessingML → paragraphs of formatted segments
+   -------------------------------------------------------------------------- */
+
+/**
+ * Maps style ids to their heading-ness (style name "heading N" / "Title", or an outline level)
+ * @param {Object|null} stylesRoot - Parsed word/styles.xml
+ * @returns {Set<string>} Heading style ids
+ */
+function readHeadingStyles(stylesRoot) {
+  const headings = new Set();
+  const styles = child(stylesRoot, 'w:styles');
+  children(styles, 'w:style').forEach(style => {
+    const name = child(style, 'w:name');
+    const label = name ? name.attributes['w:val'] : '';
+    const outline = child(child(style, 'w:pPr'), 'w:outlineLvl');
+    if (/^(heading \d|title)$/i.test(label) || outline) {
+      headings.add(style.attributes['w:styleId']);
+    }
+  });
+  return headings;
+}
+
+/**
+ * Maps list numbering ids to whether they're ordered (anything but bullets)
+ * @param {Object|null} numberingRoot - Parsed word/numbering.xml
+ * @returns {Map<string, boolean[]>} numId → ordered flag per indent level
+ */
+function readNumbering(numberingRoot) {
+  const numbering = child(numberingRoot, 'w:numbering');
+  const abstractFormats = new Map();
+  children(numbering, 'w:abstractNum').forEach(abstract => {
+    const levels = [];
+    children(abstract, 'w:lvl').forEach(level => {
+      const format = child(level, 'w:numFmt');
+      levels[Number(level.attributes['w:ilvl'])] = !!format && format.attributes['w:val'] !== 'bullet';
+    });
+    abstractFormats.set(abstract.attributes['w:abstractNumId'], levels);
+  });
+
+  const lists = new Map();
+  children(numbering, 'w:num').forEach(num => {
+    const abstractId = child(num, 'w:abstractNumId');
+    lists.set(num.attributes['w:numId'], abstractFormats.get(abstractId && abstractId.attributes['w:val']) || []);
+  });
+  return lists;
+}
+
+/**
+ * Collects a paragraph's text runs as { text, bold, italic, href } segments,
+ * following hyperlinks, tracked insertions and other run containers
+ * @param {Object} node - <w:p> or a container inside it
+ * @param {Object} documentContext - { links }
+ * @param {string|null} href - Enclosing hyperlink target
+ * @param {Object[]} segments - Accumulator
+ * @returns {Object[]}
+ */
+function collectSegments(node, documentContext, href, segments) {
+  node.children.forEach(item => {
+    if (typeof item === 'string') return;
+
+    if (item.name === 'w:r') {
+      const properties = child(item, 'w:rPr');
+      const bold = isOn(child(properties, 'w:b'));
+      const italic = isOn(child(properties, 'w:i'));
+      let text = '';
+      item.children.forEach(part => {
+        if (typeof part === 'string') return;
+        if (part.name === 'w:t') text += part.children.join('');
+        else if (part.name === 'w:tab' || part.name === 'w:br' || part.name === 'w:cr') text += ' ';
+        else if (part.name === 'w:noBreakHyphen') text += '-';
+      });
+      if (text) segments.push({ text, bold, italic, href });
+    } else if (item.name === 'w:hyperlink') {
+      const target = documentContext.links.get(item.attributes['r:id']) || null;
+      collectSegments(item, documentContext, target || href, segments);
+    } else if (item.name !== 'w:del' && item.name !== 'w:pPr') {
+      // w:ins, w:smartTag, w:customXml, w:fldSimple, w:sdt/w:sdtContent …
+      collectSegments(item, documentContext, href, segments);
+    }
+  });
+  return segments;
+}
+
+/**
+ * Flattens the document body into paragraphs (tables and content controls
+ * are read cell by cell, in order)
+ * @param {Object} node - <w:body> or a container
+ * @param {Object} documentContext - { headingStyles, numbering, links }
+ * @param {Object[]} paragraphs - Accumulator
+ * @returns {Object[]} [{ segments, text, isHeading, list }]
+ */
+function collectParagraphs(node, documentContext, paragraphs) {
+  node.children.forEach(item => {
+    if (typeof item === 'string') return;
+
+    if (item.name !== 'w:p') {
+      collectParagraphs(item, documentContext, paragraphs);
+      return;
+    }
+
+    const properties = child(item, 'w:pPr');
+    const style = child(properties, 'w:pStyle');
+    const numbered = child(properties, 'w:numPr');
+    const segments = collectSegments(item, documentContext, null, []);
+    const text = segments.map(segment => segment.text).join('').replace(/\s+/g, ' ').trim();
+    if (!text) return;
+
+    let list = null;
+    if (numbered) {
+      const numId = child(numbered, 'w:numId');
+      const level = child(numbered, 'w:ilvl');
+      const levels = documentContext.numbering.get(numId && numId.attributes['w:val']) || [];
+      list = { ordered: !!levels[level ? Number(level.attributes['w:val']) : 0] };
+    }
+
+    paragraphs.push({
+      segments,
+      text,
+      isHeading: !!child(properties, 'w:outlineLvl') ||
+        (!!style && documentContext.headingStyles.has(style.attributes['w:val'])),
+      list
+    });
+  });
+  return paragraphs;
+}
+
+/**
+ * Reads a .docx into paragraphs
+ * @param {string} filePath
+ * @returns {Object[]}
+ */
+function readDocx(filePath) {
+  const archive = fs.readFileSync(filePath);
+  const read = name => {
+    const entry = readZipEntry(archive, name);
+    return entry ? parseXml(entry.toString('utf8')) : null;
+  };
+
+  const documentRoot = read('word/document.xml');
+  const body = child(child(documentRoot, 'w:document'), 'w:body');
+  if (!body) {
+    throw new Error('no word/document.xml body');
+  }
+
+  const links = new Map();
+  children(child(read('word/_rels/document.xml.rels'), 'Relationships'), 'Relationship').forEach(relation => {
+    if (/\/hyperlink$/.test(relation.attributes.Type)) {
+      links.set(relation.attributes.Id, relation.attributes.Target);
+    }
+  });
+
+  return collectParagraphs(body, {
+    headingStyles: readHeadingStyles(read('word/styles.xml')),
+    numbering: readNumbering(read('word/numbering.xml')),
+    links
+  }, []);
+}
+
+/* --------------------------------------------------------------------------
+   Paragraphs → structured content
+   -------------------------------------------------------------------------- */
+
+/**
+ * Renders segments as inline HTML, merging neighbours with the same formatting
+ * @param {Object[]} segments
+ * @returns {string}
+ */
+function segmentsToHtml(segments) {
+  const merged = [];
+  segments.forEach(segment => {
+    // Whitespace carries no visible formatting; keep it plain so it merges
+    const plain = !segment.text.trim();
+    const current = {
+      text: segment.text,
+      bold: !plain && segment.bold,
+      italic: !plain && segment.italic,
+      href: segment.href
+    };
+    const last = merged[merged.length - 1];
+    if (last && last.bold === current.bold && last.italic === current.italic && last.href === current.href) {
+      last.text += current.text;
+    } else {
+      merged.push(current);
+    }
+  });
+
+  return merged.map(segment => {
+    let html = escapeHtml(segment.text.replace(/\s+/g, ' '));
+    if (segment.italic) html = '<em>' + html + '</em>';
+    if (segment.bold) html = '<strong>' + html + '</strong>';
+    if (segment.href) html = '<a href="' + escapeAttribute(segment.href) + '" target="_blank" rel="noopener noreferrer">' + html + '</a>';
+    return html;
+  }).join('').trim().replace(/^(<[^>]+>)+\s+|\s+(<\/[^>]+>)+$/g, match => match.trim());
+}
+
+/**
+ * Removes a leading heading ("The Story") from a paragraph's segments
+ * @param {Object[]} segments
+ * @param {string} heading
+ * @returns {Object[]}
+ */
+function stripHeading(segments, heading) {
+  let remaining = heading.length;
+  const result = [];
+  segments.forEach(segment => {
+    const text = remaining > 0 ? segment.text.replace(/^\s+/, '') : segment.text;
+    if (remaining >= text.length) {
+      remaining -= text.length;
+    } else {
+      result.push(Object.assign({}, segment, { text: text.slice(Math.max(remaining, 0)) }));
+      remaining = 0;
+    }
+  });
+  return result;
+}
+
+/**
+ * Splits the bold-labelled details paragraph into label/value pairs. Falls back
+ * to the known labels when the document has no bold (plain text paste).
+ * @param {Object} paragraph
+ * @returns {{label: string, value: string}[]}
+ */
+function readDetails(paragraph) {
+  const details = [];
+  paragraph.segments.forEach(segment => {
+    const label = segment.text.trim();
+    if (segment.bold && /:$/.test(label)) {
+      details.push({ label: label.slice(0, -1).trim(), value: '' });
+    } else if (details.length) {
+      details[details.length - 1].value += segment.text;
+    }
+  });
+
+  if (!details.length) {
+    return parseDetails(paragraph.text);
+  }
+  return details.map(detail => ({ label: detail.label, value: detail.value.replace(/\s+/g, ' ').trim() }));
+}
+
+/**
+ * Turns document paragraphs into the content shape build-pages.js renders
+ * @param {Object[]} paragraphs
+ * @param {string} fileName - For error messages
+ * @returns {{details: Object[], title: string, tagline: string, overview: Object[], sections: Object[]}}
+ */
+function buildContent(paragraphs, fileName) {
+  const content = { details: [], title: '', tagline: '', overview: [], sections: [] };
+  let blocks = content.overview;
+
+  const addBlock = (paragraph, segments) => {
+    const html = segmentsToHtml(segments);
+    if (!html) return;
+    const last = blocks[blocks.length - 1];
+    if (paragraph.list) {
+      if (last && last.type === 'list' && last.ordered === paragraph.list.ordered) {
+        last.items.push(html);
+      } else {
+        blocks.push({ type: 'list', ordered: paragraph.list.ordered, items: [html] });
+      }
+    } else {
+      blocks.push({ type: 'paragraph', html });
+    }
+  };
+
+  paragraphs.forEach(paragraph => {
+    if (!content.title) {
+      if (paragraph.isHeading) {
+        content.title = paragraph.text;
+      } else if (!content.details.length) {
+        content.details = readDetails(paragraph);
+      }
+      return;
+    }
+
+    if (!content.tagline && !paragraph.isHeading && !matchHeading(paragraph.text) && !content.sections.length) {
+      content.tagline = paragraph.text;
+      return;
+    }
+
+    const heading = paragraph.isHeading ? paragraph.text : matchHeading(paragraph.text);
+    if (heading) {
+      if (heading === OVERVIEW_HEADING) {
+        blocks = content.overview;
+      } else {
+        blocks = [];
+        content.sections.push({ heading, blocks });
+      }
+      if (!paragraph.isHeading) {
+        addBlock(paragraph, stripHeading(paragraph.segments, heading));
+      }
+      return;
+    }
+
+    addBlock(paragraph, paragraph.segments);
+  });
+
+  if (!content.title) {
+    throw new Error(fileName + ': no heading-styled title paragraph');
+  }
+  if (!content.sections.length) {
+    throw new Error(fileName + ': no sections (The Story, The Approach, …)');
+  }
+  return content;
+}
+
+/* --------------------------------------------------------------------------
+   Diff report
+   -------------------------------------------------------------------------- */
+
+/**
+ * Flattens content into comparable lines; inline markup is shown as **bold**,
+ * _italic_ and [text](url) so formatting changes show up too
+ * @param {Object} content
+ * @returns {string[]}
+ */
+function contentToLines(content) {
+  const inline = html => html
+    .replace(/<a href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/g, '[$2]($1)')
+    .replace(/<\/?strong>/g, '**')
+    .replace(/<\/?em>/g, '_')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, '&');
+  const blockLines = blocks => [].concat(...blocks.map(block =>
+    block.type === 'list'
+      ? block.items.map((item, index) => (block.ordered ? (index + 1) + '. ' : '- ') + inline(item))
+      : [inline(block.html)]
+  ));
+
+  return [
+    '# ' + content.title,
+    '> ' + content.tagline
+  ].concat(
+    content.details.map(detail => detail.label + ': ' + detail.value),
+    content.overview.length ? ['## ' + OVERVIEW_HEADING].concat(blockLines(content.overview)) : [],
+    ...content.sections.map(section => ['## ' + section.heading].concat(blockLines(section.blocks)))
+  );
+}
+
+/**
+ * Line diff (longest common subsequence); documents are short
+ * @param {string[]} before
+ * @param {string[]} after
+ * @returns {string[]} Lines prefixed with '  ', '- ' or '+ '
+ */
+function diffLines(before, after) {
+  const table = Array.from({ length: before.length + 1 }, () => new Array(after.length + 1).fill(0));
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      table[i][j] = before[i] === after[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < before.length && j < after.length) {
+    if (before[i] === after[j]) {
+      result.push('  ' + before[i]);
+      i++;
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      result.push('- ' + before[i++]);
+    } else {
+      result.push('+ ' + after[j++]);
+    }
+  }
+  while (i < before.length) result.push('- ' + before[i++]);
+  while (j < after.length) result.push('+ ' + after[j++]);
+  return result;
+}
+
+/**
+ * Loads what the new import is compared against: the previous import, or the
+ * text file the page is currently built from
+ * @param {Object} project - Manifest entry
+ * @param {string} contentPath
+ * @returns {{label: string, content: Object}}
+ */
+function loadBaseline(project, contentPath) {
+  if (fs.existsSync(contentPath)) {
+    return { label: 'last import', content: JSON.parse(fs.readFileSync(contentPath, 'utf8')) };
+  }
+  // First import of a page.content file: compare against its text file
+  const content = loadContent(Object.assign({}, project, { page: Object.assign({}, project.page, { content: null }) }));
+  return { label: content.source, content };
+}
+
+/* --------------------------------------------------------------------------
+   Main
+   -------------------------------------------------------------------------- */
+
+/**
+ * Imports the requested projects and prints the report
+ * @param {string[]} slugs - Empty = all projects with a .docx
+ * @param {boolean} dryRun - Report only
+ * @returns {{changed: number, failed: number}}
+ */
+function importAll(slugs, dryRun) {
+  const manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+  const projects = (manifest.projects || []).filter(project =>
+    project.page && project.page.text && (!slugs.length || slugs.includes(project.slug))
+  );
+  let changed = 0;
+  let failed = 0;
+
+  slugs.filter(slug => !projects.some(project => project.slug === slug)).forEach(slug => {
+    failed++;
+    console.error('✗ ' + slug + ': no project with a page in projects.json');
+  });
+
+  projects.forEach(project => {
+    const docxName = project.page.text.replace(/\.txt$/, '.docx');
+    const docxPath = path.join(DOCX_DIR, docxName);
+    const contentPath = project.page.content ? path.join(CONTENT_DIR, project.page.content) : null;
+
+    if (!fs.existsSync(docxPath)) {
+      if (slugs.length) {
+        failed++;
+        console.error('✗ ' + project.slug + ': missing texts/Word Documents/' + docxName);
+      }
+      return;
+    }
+
+    let content;
+    try {
+      content = Object.assign({ document: 'texts/Word Documents/' + docxName }, buildContent(readDocx(docxPath), docxName));
+    } catch (error) {
+      failed++;
+      console.error('✗ ' + project.slug + ': ' + error.message);
+      return;
+    }
+
+    const baseline = loadBaseline(project, contentPath || '');
+    const changes = diffLines(contentToLines(baseline.content), contentToLines(content)).filter(line => line[0] !== ' ');
+    const serialized = JSON.stringify(content, null, 2) + '\n';
+
+    // Page still built from texts/: report only, so no file is left that nothing uses
+    if (!contentPath) {
+      if (!changes.length) {
+        console.log('  ' + project.slug + ' (same as ' + baseline.label + ')');
+        return;
+      }
+      console.log('\n! ' + project.slug + ' ← ' + docxName + ' (' + changes.length + ' changed lines vs ' +
+        baseline.label + ') — not imported; set page.content to build the page from it');
+      changes.forEach(line => console.log('    ' + line));
+      return;
+    }
+
+    if (fs.existsSync(contentPath) && fs.readFileSync(contentPath, 'utf8') === serialized) {
+      console.log('  ' + project.slug + ' (unchanged)');
+      return;
+    }
+
+    changed++;
+    console.log('\n' + (dryRun ? '! ' : '✓ ') + project.slug + ' ← ' + docxName +
+      ' (' + changes.length + ' changed lines vs ' + baseline.label + ')');
+    changes.forEach(line => console.log('    ' + line));
+
+    if (!dryRun) {
+      fs.mkdirSync(path.dirname(contentPath), { recursive: true });
+      fs.writeFileSync(contentPath, serialized);
+    }
+  });
+
+  console.log('\n' + changed + ' imported' + (dryRun ? ' (dry run)' : '') + ', ' + failed + ' failed');
+  return { changed, failed };
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const { failed } = importAll(args.filter(arg => !arg.startsWith('--')), args.includes('--dry-run'));
+  if (failed) {
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { readZipEntry, parseXml, readDocx, buildContent, diffLines, importAll };